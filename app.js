@@ -1,32 +1,58 @@
 /* Mini Dev Console — HTML + CSS + JS only
- * Captures: console.* | fetch | XHR | WebSocket | errors | unhandled rejections
- * Tabs: Console, Network, Errors, Storage, Performance
- * Toggle: Ctrl+` or floating button
+ * Captures: console.* | fetch | XHR | WebSocket | EventSource | BroadcastChannel | Worker + postMessage | resource timing | errors | unhandled rejections
+ * Mocks: URL/method/header rules that stub, delay, re-status or fail fetch + XHR
+ * Tabs: Console, Elements, Network, Waterfall, WebSockets, Messages, Mocks, Errors, Storage, Performance
+ * Toggle: Ctrl+` or floating button (both configurable)
+ * API: DevConsole.init(options) · DevConsole.destroy() · DevConsole.on(type, fn); auto-inits when #devconsole-root is on the page
+ * Plugins: DevConsole.registerTab({id, label, mount, capture, export, clear}) adds a custom tab
  * License: MIT (use freely)
  */
 
 (() => {
-  const root = document.getElementById('devconsole-root');
-  const toggleBtn = document.getElementById('devconsole-toggle');
+  let root = null; // both set by init()
+  let toggleBtn = null;
 
   // ---------- State ----------
   const state = {
     open: false,
-    activeTab: 'network', // 'console' | 'network' | 'errors' | 'storage' | 'performance'
+    activeTab: 'network', // 'console' | 'elements' | 'network' | 'waterfall' | 'websockets' | 'messages' | 'mocks' | 'errors' | 'storage' | 'performance' | a plugin id
     consoleLogs: [],
+    consoleFilter: '',
     network: [],
+    composer: null, // edit-and-resend draft for the selected request
+    inspectedElement: null, // $0 in the REPL
+    netFilter: { text: '', types: [], statuses: [], methods: [], slow: false, slowMs: 1000, sort: 'time', dir: 'desc' },
     errors: [],
+    storageLog: [], // setItem/removeItem/clear calls made by the page
+    errorKinds: [], // Errors tab kind filter; empty = all
     wsEvents: [],
+    messages: [], // EventSource, BroadcastChannel, Worker and postMessage traffic
+    messageFilter: { text: '', channels: [] },
+    resources: [], // PerformanceResourceTiming entries not matched to a fetch/XHR record
+    waterfallFrom: 0, // perf-timeline cutoff set by Clear on the Waterfall tab
+    mocks: [], // interception rules, persisted in sessionStorage
+    limits: { consoleLogs: 5000, network: 2000, errors: 1000, wsEvents: 10000, messages: 5000, storageLog: 1000, resources: 2000, bodyBytes: 256 * 1024, bodyBudget: 32 * 1024 * 1024 },
+    dropped: { consoleLogs: 0, network: 0, errors: 0, wsEvents: 0, messages: 0, storageLog: 0, resources: 0, bodies: 0 },
     selectedId: null,
     seq: 0,
   };
 
-  const original = {
-    console: {},
+  // What the page had before DevConsole patched it; taken again on every init().
+  const CONSOLE_METHODS = ['log','info','warn','error','debug','trace','dir','table','group','groupCollapsed','groupEnd',
+    'time','timeLog','timeEnd','count','countReset','assert'];
+  const snapshotOriginals = () => ({
+    console: Object.fromEntries(CONSOLE_METHODS.filter(m => typeof console[m] === 'function').map(m => [m, console[m].bind(console)])),
     fetch: window.fetch,
     XHR: window.XMLHttpRequest,
-    WebSocket: window.WebSocket
-  };
+    WebSocket: window.WebSocket,
+    EventSource: window.EventSource,
+    BroadcastChannel: window.BroadcastChannel,
+    Worker: window.Worker,
+    postMessage: window.postMessage,
+    storage: window.Storage && { setItem: Storage.prototype.setItem, removeItem: Storage.prototype.removeItem, clear: Storage.prototype.clear },
+    listeners: window.EventTarget && { add: EventTarget.prototype.addEventListener, remove: EventTarget.prototype.removeEventListener },
+  });
+  const original = snapshotOriginals();
 
   // ---------- Utils ----------
   const $ = (sel, ctx = root) => ctx.querySelector(sel);
@@ -43,6 +69,9 @@
       return origin + pathname + (u.includes('?') ? '…' : '');
     } catch { return u; }
   };
+  const absURL = (u) => {
+    try { return new URL(u, location.href).href; } catch { return u; }
+  };
   const fmtBytes = (n) => (n == null || isNaN(n)) ? '—' :
     (n < 1024 ? `${n} B` : n < 1024*1024 ? `${(n/1024).toFixed(1)} KB` : `${(n/1024/1024).toFixed(1)} MB`);
   const safeJSON = (val) => {
@@ -59,68 +88,322 @@
       .replace(/\b(null)\b/g, '<span class="nul">$1</span>')
       .replace(/\b(-?\d+(?:\.\d+)?)\b/g, '<span class="num">$1</span>');
   };
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
   const genId = () => (++state.seq).toString(36) + '-' + Date.now().toString(36);
 
+  // init() registers an undo for everything it patches or listens to; destroy() runs them newest first.
+  const teardown = [];
+  // A patch is only restored if it is still in place. Once the page has wrapped it, restoring would drop the
+  // page's wrapper too, so the patch is left there and from then on forwards straight to what it replaced.
+  const patchProp = (obj, key, value) => {
+    const prev = Object.getOwnPropertyDescriptor(obj, key);
+    const replaced = obj[key];
+    let target = value;
+    const patch = typeof value !== 'function' ? value : new Proxy(value, {
+      apply: (fn, self, args) => Reflect.apply(target, self, args),
+      construct: (fn, args, newTarget) => Reflect.construct(target, args, newTarget === patch ? target : newTarget),
+    });
+    obj[key] = patch;
+    teardown.push(() => {
+      if (obj[key] === patch) prev ? Object.defineProperty(obj, key, prev) : delete obj[key];
+      else if (typeof replaced === 'function') target = replaced;
+    });
+  };
+  const listen = (target, type, fn, opts) => {
+    target.addEventListener(type, fn, opts);
+    teardown.push(() => target.removeEventListener(type, fn, opts));
+  };
+
   const clamp = (min, val, max) => Math.max(min, Math.min(max, val));
+  const fmtDuration = (ms) => (ms == null || isNaN(ms)) ? '—' :
+    (ms < 1000 ? `${ms.toFixed(0)} ms` : ms < 60000 ? `${(ms/1000).toFixed(1)} s` : `${(ms/60000).toFixed(1)} min`);
+
+  // ---------- Subscriptions ----------
+  // DevConsole.on(type, fn): host tooling gets frozen copies of captured records, so it can't alter what the tabs show.
+  const EVENT_TYPES = ['console', 'network', 'error', 'websocket', 'message', 'storage'];
+  const STREAM_EVENTS = { consoleLogs: 'console', errors: 'error', wsEvents: 'websocket', messages: 'message', storageLog: 'storage' };
+  const subscribers = new Map(EVENT_TYPES.map(t => [t, new Set()]));
+  let emitting = false; // whatever a subscriber logs is captured, but not echoed back to it
+  // A request a subscriber starts completes after its callback returns; it is tagged on creation and never emitted,
+  // or a subscriber that reports to a server would feed itself forever. Only requests started during the callback
+  // are tagged: one sent later (batched, or after an await) is emitted again unless init's ignoreNetwork matches it.
+  const echoes = new WeakSet();
+  const tagEcho = (record) => {
+    let ignored = false;
+    try { ignored = !!config.ignoreNetwork?.(absURL(String(record.url))); } catch {}
+    if (emitting || ignored) echoes.add(record);
+  };
+
+  // Plain objects and arrays are copied and frozen; anything else (snapshotted class instances, Maps…) is passed as is.
+  const readonlyCopy = (v, seen = new Map()) => {
+    if (v === null || typeof v !== 'object') return v;
+    const proto = Object.getPrototypeOf(v);
+    if (!Array.isArray(v) && proto !== Object.prototype && proto !== null) return v;
+    if (seen.has(v)) return seen.get(v);
+    const out = Array.isArray(v) ? [] : {};
+    seen.set(v, out);
+    for (const k of Object.keys(v)) {
+      try { out[k] = readonlyCopy(v[k], seen); } catch {}
+    }
+    return Object.freeze(out);
+  };
+
+  const emit = (type, record) => {
+    const fns = subscribers.get(type);
+    if (!fns.size || !root || emitting || echoes.has(record)) return; // requests in flight at destroy() still settle
+    emitting = true;
+    try {
+      const copy = readonlyCopy(record);
+      fns.forEach(fn => {
+        try { fn(copy); } catch (e) { original.console.error?.('DevConsole: subscriber failed', e); }
+      });
+    } finally {
+      emitting = false;
+    }
+  };
+
+  const on = (type, fn) => {
+    if (!subscribers.has(type)) throw new TypeError(`DevConsole.on: unknown event "${type}" (expected ${EVENT_TYPES.join(', ')})`);
+    if (typeof fn !== 'function') throw new TypeError('DevConsole.on: listener must be a function');
+    subscribers.get(type).add(fn);
+    return () => { subscribers.get(type).delete(fn); };
+  };
+
+  // ---------- Capture limits ----------
+  // Each stream is a ring buffer: past its cap the oldest entries are evicted and counted.
+  // Stored request/response bodies share a byte budget on top of a per-body limit.
+  const LIMITS_KEY = '__devconsole_limits';
+  const LIMIT_STREAMS = { consoleLogs: 'logs', network: 'requests', errors: 'errors', wsEvents: 'frames', messages: 'messages', storageLog: 'changes', resources: 'resource entries' };
+
+  try { Object.assign(state.limits, JSON.parse(localStorage.getItem(LIMITS_KEY))); } catch {}
+  const limitDrafts = {}; // cap inputs being typed into, so rebuilds don't reset them
+
+  // Lifecycle events of sockets that are still open are never evicted, so the connection stays listed.
+  const wsPinned = (ev) => wsSockets.get(ev.id)?.readyState < 2 && (ev.event === 'open-pending' || ev.event === 'open');
+
+  const capStream = (stream) => {
+    const list = state[stream];
+    let over = list.length - state.limits[stream];
+    if (over <= 0) return;
+    const pinned = [];
+    let i = 0;
+    for (; i < list.length && over > 0; i++) {
+      if (stream === 'wsEvents' && wsPinned(list[i])) { pinned.push(list[i]); continue; }
+      if (stream === 'network') releaseBodies(list[i]);
+      state.dropped[stream]++;
+      over--;
+    }
+    list.splice(0, i, ...pinned);
+  };
+
+  // Sockets, workers and channels opened before destroy() keep their listeners; without a root they record nothing.
+  const pushCapped = (stream, item) => {
+    if (!root) return item;
+    state[stream].push(item);
+    capStream(stream);
+    if (STREAM_EVENTS[stream]) emit(STREAM_EVENTS[stream], item);
+    return item;
+  };
+
+  const setLimit = (key, value) => {
+    delete limitDrafts[key];
+    const n = Math.round(+value);
+    if (!(n > 0)) { render(); return; }
+    state.limits[key] = n;
+    try { localStorage.setItem(LIMITS_KEY, JSON.stringify(state.limits)); } catch {}
+    if (key in LIMIT_STREAMS) capStream(key); else enforceBodyBudget();
+    render();
+  };
+
+  const limitInput = (key, title, scale = 1) => {
+    const input = el('input', {className:'dc-input cap-input', id:`dc-limit-${key}`, type:'number', min:1, title,
+      value: limitDrafts[key] ?? Math.round(state.limits[key] / scale)});
+    input.addEventListener('input', () => { limitDrafts[key] = input.value; });
+    input.addEventListener('change', () => setLimit(key, input.value * scale));
+    return input;
+  };
+
+  // "N dropped · keep [cap]" for a stream's toolbar
+  const capControl = (stream) => el('span', {className:'cap-control'},
+    state.dropped[stream] ? el('span', {className:'cap-dropped', title:`Oldest ${LIMIT_STREAMS[stream]} evicted to stay under the cap`}, `${state.dropped[stream]} dropped`) : '',
+    'keep', limitInput(stream, `Keep at most this many ${LIMIT_STREAMS[stream]}`));
+
+  const bodyLedger = new Map(); // record -> bytes of body text it holds, oldest first
+  let bodyBytes = 0;
+  const textEncoder = new TextEncoder();
+
+  // FNV-1a can be fed chunk by chunk: pass the previous result as `h`.
+  const FNV_SEED = 0x811c9dc5;
+  const fnv1a = (bytes, h = FNV_SEED) => {
+    for (const b of bytes) h = Math.imul(h ^ b, 0x01000193);
+    return h >>> 0;
+  };
+  const fnvLabel = (h) => 'fnv1a:' + h.toString(16).padStart(8, '0');
+
+  const hashBytes = async (bytes) => {
+    try {
+      const digest = await crypto.subtle.digest('SHA-256', bytes);
+      return 'sha256:' + Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    } catch {
+      return fnvLabel(fnv1a(bytes)); // crypto.subtle only exists in secure contexts
+    }
+  };
+
+  // Keeps the first `keep` bytes of a body; rec.truncated[field] remembers the full size and its hash.
+  const clipBody = (rec, field, bytes, keep) => {
+    rec[field] = keep ? new TextDecoder().decode(bytes.subarray(0, keep)) : '';
+    const prev = rec.truncated?.[field];
+    rec.truncated = {...rec.truncated, [field]: {size: prev?.size ?? bytes.length, kept: keep, hash: prev?.hash ?? null}};
+    if (prev) return;
+    hashBytes(bytes).then(hash => {
+      if (rec.truncated[field].hash) return;
+      rec.truncated = {...rec.truncated, [field]: {...rec.truncated[field], hash}};
+      renderIfShowing('network');
+    });
+  };
+
+  const releaseBodies = (rec) => {
+    bodyBytes -= bodyLedger.get(rec) || 0;
+    bodyLedger.delete(rec);
+  };
+
+  const dropBodies = (rec) => {
+    releaseBodies(rec);
+    ['requestBody', 'responseText'].forEach(field => {
+      if (typeof rec[field] === 'string' && rec[field]) clipBody(rec, field, textEncoder.encode(rec[field]), 0);
+    });
+    state.dropped.bodies++;
+  };
+
+  const enforceBodyBudget = (keepRec) => {
+    for (const rec of bodyLedger.keys()) {
+      if (bodyBytes <= state.limits.bodyBudget) return;
+      if (rec !== keepRec) dropBodies(rec);
+    }
+  };
+
+  const chargeBody = (rec, n) => {
+    bodyLedger.set(rec, (bodyLedger.get(rec) || 0) + n);
+    bodyBytes += n;
+    enforceBodyBudget(rec);
+  };
+
+  const storeBody = (rec, field, text) => {
+    if (typeof text !== 'string' || !text) { rec[field] = text; return; }
+    const bytes = textEncoder.encode(text);
+    const keep = Math.min(bytes.length, state.limits.bodyBytes);
+    if (keep < bytes.length) clipBody(rec, field, bytes, keep);
+    else rec[field] = text;
+    chargeBody(rec, keep);
+  };
+
+  const resetBodies = () => { bodyLedger.clear(); bodyBytes = 0; };
 
   // ---------- UI Skeleton ----------
+  const TABS = [['console','Console'], ['elements','Elements'], ['network','Network'], ['waterfall','Waterfall'], ['websockets','WebSockets'],
+    ['messages','Messages'], ['mocks','Mocks'], ['errors','Errors'], ['storage','Storage'], ['performance','Performance']];
+
   const render = () => {
+    if (!root) return; // not initialized, or destroyed
     root.classList.toggle('open', state.open);
-    toggleBtn.setAttribute('aria-expanded', String(state.open));
-    if (!state.open) return;
+    toggleBtn?.setAttribute('aria-expanded', String(state.open));
+    syncDomObserver();
+    syncPerfSampler();
+    if (!state.open) { unmountPlugin(); return; }
 
+    const focus = captureFocus(root);
+    saveScroll();
+    unmountPlugin();
     root.innerHTML = '';
     const header = el('div', {className:'dc-header'},
       el('span', {className:'dc-title'}, 'Developer Console'),
       el('span', {className:'dc-badge'}, location.host || 'file://'),
       el('div', {className:'dc-spacer'}),
+      ...(state.activeTab === 'network' ? [
+        el('button', {className:'dc-btn', title:'Export requests as HAR 1.2', onclick: exportHAR}, 'Export HAR'),
+        el('button', {className:'dc-btn', title:'Load a HAR file for offline viewing', onclick: importHAR}, 'Import HAR'),
+      ] : []),
       el('button', {className:'dc-btn', title:'Export logs', onclick: exportAll}, 'Export'),
       el('button', {className:'dc-btn', title:'Clear current tab', onclick: clearCurrent}, 'Clear'),
-      el('button', {className:'dc-btn', title:'Close (Ctrl+`)', onclick: toggleOpen}, 'Close'),
+      el('button', {className:'dc-btn', title: config.hotkey ? `Close (${config.hotkey})` : 'Close', onclick: toggleOpen}, 'Close'),
     );
 
     const tabs = el('div', {className:'dc-tabs', role:'tablist'},
-      tabButton('console','Console'),
-      tabButton('network','Network'),
-      tabButton('errors','Errors'),
-      tabButton('storage','Storage'),
-      tabButton('performance','Performance')
+      ...TABS.map(([id, label]) => tabButton(id, label)),
+      ...[...plugins.values()].map(p => tabButton(p.id, p.label))
     );
 
     const body = el('div', {className:'dc-body'});
 
+    activeView = null;
     switch (state.activeTab) {
-      case 'console': mountConsole(body); break;
-      case 'network': mountNetwork(body); break;
-      case 'errors': mountErrors(body); break;
-      case 'storage': mountStorage(body); break;
+      case 'console': activeView = mountConsole(body); break;
+      case 'elements': mountElements(body); break;
+      case 'network': activeView = mountNetwork(body); break;
+      case 'waterfall': mountWaterfall(body); break;
+      case 'websockets': activeView = mountWebSockets(body); break;
+      case 'messages': activeView = mountMessages(body); break;
+      case 'mocks': mountMocks(body); break;
+      case 'errors': activeView = mountErrors(body); break;
+      case 'storage': activeView = mountStorage(body); break;
       case 'performance': mountPerformance(body); break;
+      default: activeView = mountPlugin(body);
     }
 
     const footer = el('div', {className:'dc-footer'});
     if (state.activeTab === 'console') {
-      const input = el('input', {className:'dc-input', id:'dc-repl', placeholder:'› Type JavaScript… (Shift+Enter for newline). Use await freely.'});
-      input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-          e.preventDefault();
-          runRepl(input.value);
-          input.value = '';
-        }
-      });
       footer.append(
-        input,
-        el('button', {className:'dc-btn', onclick: () => { const v = $('#dc-repl').value; runRepl(v); $('#dc-repl').value='';}}, 'Run'),
-        el('button', {className:'dc-btn', onclick: () => $('#dc-repl').value=''}, 'Clear')
+        replEditor.wrap,
+        el('button', {className:'dc-btn', title:'Run (Ctrl+Enter)', onclick: submitRepl}, 'Run'),
+        el('button', {className:'dc-btn', onclick: () => setReplText('')}, 'Clear')
       );
     } else {
       footer.append(
-        el('span', {}, 'Tip: Use Ctrl+` to toggle. Click a row for details.')
+        el('span', {}, config.hotkey ? `Tip: Use ${config.hotkey} to toggle. Click a row for details.` : 'Tip: Click a row for details.')
       );
     }
 
     root.append(header, tabs, body, footer);
+    renderedTab = state.activeTab;
+    restoreScroll();
+    activeView?.paint?.();
+    restoreFocus(focus);
+  };
+
+  // keep the caret in whichever input was being typed into across a rebuild
+  const captureFocus = (scope) => {
+    const active = scope.contains(document.activeElement) && document.activeElement.id ? document.activeElement : null;
+    return active && { id: active.id, start: active.selectionStart, end: active.selectionEnd };
+  };
+  const restoreFocus = (focus) => {
+    const refocus = focus && root.querySelector('#' + focus.id);
+    if (!refocus || refocus === document.activeElement) return;
+    refocus.focus();
+    try { refocus.setSelectionRange(focus.start, focus.end); } catch {}
   };
 
+  // Scroll offsets per tab; the detail pane only keeps its offset while the same item stays selected.
+  const SCROLLERS = ['.dc-body', '.dc-list', '.dc-detail'];
+  const scrollMemory = {}; // tab -> {selectedId, '.dc-list': top, ...}
+  let renderedTab = null;
+  const saveScroll = () => {
+    if (!renderedTab) return;
+    const mem = scrollMemory[renderedTab] = { selectedId: state.selectedId };
+    SCROLLERS.forEach(sel => { const n = $(sel); if (n) mem[sel] = n.scrollTop; });
+  };
+  const restoreScroll = () => {
+    const mem = scrollMemory[state.activeTab];
+    if (!mem) return;
+    SCROLLERS.forEach(sel => {
+      const n = $(sel);
+      if (n && mem[sel] && (sel !== '.dc-detail' || mem.selectedId === state.selectedId)) n.scrollTop = mem[sel];
+    });
+  };
+
+  // Tabs that can patch themselves return {update, paint} from their mount function;
+  // scheduleRender then calls update() instead of rebuilding the panel.
+  let activeView = null;
+
   const tabButton = (id, label) => {
     const b = el('button', {className:'dc-tab', role:'tab', 'aria-selected': String(state.activeTab===id), onclick: () => { state.activeTab=id; state.selectedId=null; render(); }}, label);
     b.dataset.tab = id;
@@ -128,95 +411,503 @@
   };
 
   const clearCurrent = () => {
-    if (state.activeTab === 'console') state.consoleLogs.length = 0;
-    if (state.activeTab === 'network') state.network.length = 0;
-    if (state.activeTab === 'errors') state.errors.length = 0;
+    // mock rules are configuration, not captured data
+    if (state.activeTab === 'mocks' && state.mocks.length && !confirm(`Delete all ${state.mocks.length} mock rules?`)) return;
+    if (state.activeTab === 'console') { state.consoleLogs.length = 0; state.dropped.consoleLogs = 0; }
+    if (state.activeTab === 'network') { state.network.length = 0; state.composer = null; state.dropped.network = state.dropped.bodies = 0; resetBodies(); }
+    if (state.activeTab === 'errors') { state.errors.length = 0; state.dropped.errors = 0; }
+    if (state.activeTab === 'storage') { state.storageLog.length = 0; state.dropped.storageLog = 0; }
+    if (state.activeTab === 'messages') { state.messages.length = 0; state.dropped.messages = 0; }
+    if (state.activeTab === 'waterfall') { state.waterfallFrom = performance.now(); state.dropped.resources = 0; }
+    if (state.activeTab === 'mocks') { state.mocks.length = 0; saveMocks(); }
+    if (plugins.has(state.activeTab)) clearPlugin(plugins.get(state.activeTab));
+    if (state.activeTab === 'websockets') {
+      const live = state.wsEvents.filter(wsPinned);
+      state.wsEvents.length = 0;
+      state.wsEvents.push(...live);
+      state.dropped.wsEvents = 0;
+    }
     state.selectedId = null;
     render();
   };
 
+  const downloadJSON = (prefix, ext, data) => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], {type:'application/json'});
+    const a = document.createElement('a');
+    a.download = `${prefix}-${new Date().toISOString().replace(/[:.]/g,'-')}.${ext}`;
+    a.href = URL.createObjectURL(blob);
+    a.click();
+    setTimeout(()=>URL.revokeObjectURL(a.href), 5000);
+  };
+
+  const pickFile = (accept, onText) => {
+    const input = el('input', {type:'file', accept});
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (file) onText(await file.text(), file);
+    });
+    input.click();
+  };
+
   const exportAll = () => {
-    const blob = new Blob([JSON.stringify({
+    downloadJSON('devconsole', 'json', {
       exportedAt: nowISO(),
       url: location.href,
       logs: state.consoleLogs,
-      network: state.network,
+      network: filteredNetwork(),
+      networkFilter: state.netFilter,
       errors: state.errors,
-      ws: state.wsEvents
-    }, null, 2)], {type:'application/json'});
-    const a = document.createElement('a');
-    a.download = `devconsole-${new Date().toISOString().replace(/[:.]/g,'-')}.json`;
-    a.href = URL.createObjectURL(blob);
-    a.click();
-    setTimeout(()=>URL.revokeObjectURL(a.href), 5000);
+      storage: state.storageLog,
+      ws: state.wsEvents,
+      messages: filteredMessages(),
+      messageFilter: state.messageFilter,
+      ...pluginExports()
+    });
   };
 
   const toggleOpen = () => { state.open = !state.open; render(); };
 
+  // ---------- Virtual lists ----------
+  const ROW_HEIGHT = 32; // fixed by .vlist-window > .dc-row
+  const OVERSCAN = 10;
+
+  // Keeps only the rows around the viewport in the DOM. `list` is the scrolling .dc-list;
+  // rows that were in view stay put when newer items are inserted above them.
+  function virtualList(list, renderRow, keyOf){
+    list.classList.add('vlist');
+    const before = el('div'), win = el('div', {className:'vlist-window'}), after = el('div');
+    list.append(before, win, after);
+    let items = [], first = -1, last = -1;
+    const paint = (force) => {
+      const top = Math.max(0, list.scrollTop - before.offsetTop);
+      const height = list.clientHeight || 800;
+      const start = Math.max(0, Math.floor(top / ROW_HEIGHT) - OVERSCAN);
+      const end = Math.min(items.length, Math.ceil((top + height) / ROW_HEIGHT) + OVERSCAN);
+      if (!force && start === first && end === last) return;
+      first = start; last = end;
+      before.style.height = `${start * ROW_HEIGHT}px`;
+      after.style.height = `${(items.length - end) * ROW_HEIGHT}px`;
+      win.replaceChildren(...items.slice(start, end).map(renderRow));
+    };
+    list.addEventListener('scroll', () => paint(false), {passive: true});
+    return {
+      update(next){
+        const scrolled = list.scrollTop - before.offsetTop;
+        const anchor = scrolled > 0 ? items[Math.floor(scrolled / ROW_HEIGHT)] : null;
+        items = next;
+        const moved = anchor ? items.findIndex(it => keyOf(it) === keyOf(anchor)) : -1;
+        if (moved > -1) {
+          after.style.height = `${items.length * ROW_HEIGHT}px`; // room to scroll before repainting
+          list.scrollTop += (moved - Math.floor(scrolled / ROW_HEIGHT)) * ROW_HEIGHT;
+        }
+        paint(true);
+      },
+      paint: () => paint(true),
+    };
+  }
+
+  // Swaps a container's content without losing the caret of an input inside it.
+  const patchChildren = (node, ...children) => {
+    const focus = captureFocus(node);
+    node.replaceChildren(...children);
+    restoreFocus(focus);
+  };
+
   // ---------- Console Tab ----------
+  const consoleTextCache = new WeakMap();
+  const consoleHaystack = (row) => {
+    if (!consoleTextCache.has(row)) consoleTextCache.set(row, `${consoleText(row)}\n${row.stack || ''}`.toLowerCase());
+    return consoleTextCache.get(row);
+  };
+
+  // Flattened rows in display order: newest first at every level, a group's rows under its header.
+  const consoleItems = () => {
+    const q = state.consoleFilter.trim().toLowerCase();
+    // search results are listed flat, outside their groups
+    if (q) return state.consoleLogs.filter(row => consoleHaystack(row).includes(q)).reverse().map(row => ({row, depth: 0}));
+    const children = new Map();
+    const ids = new Set(state.consoleLogs.map(row => row.id));
+    state.consoleLogs.forEach(row => {
+      const key = row.group && ids.has(row.group) ? row.group : null;
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(row);
+    });
+    const out = [];
+    const appendLevel = (rows, depth) => {
+      for (let i = rows.length - 1; i >= 0; i--) {
+        const row = rows[i];
+        out.push({row, depth});
+        if (row.groupStart && !row.collapsed) appendLevel(children.get(row.id) || [], depth + 1);
+      }
+    };
+    appendLevel(children.get(null) || [], 0);
+    return out;
+  };
+
   function mountConsole(body){
     const list = el('div', {className:'dc-list', role:'list'});
     const detail = el('div', {className:'dc-detail', role:'region'});
 
     // filter bar
-    const filterBar = el('div', {className:'dc-row console', style:'position:sticky;top:0;background:#10121a;border-bottom:1px solid #1b1f2d;z-index:1'},
+    const filter = el('input', {className:'dc-input', id:'dc-console-filter', placeholder:'Search text…', value: state.consoleFilter});
+    filter.addEventListener('input', () => { state.consoleFilter = filter.value; view.update(); });
+    const count = el('span');
+    const cap = el('span');
+    const filterBar = el('div', {className:'dc-row console console-bar dc-sticky'},
       el('span', {className:'level-pill'}, 'Filter'),
-      (()=>{
-        const i = el('input', {className:'dc-input', placeholder:'Search text…'});
-        i.addEventListener('input', ()=> render());
-        i.id = 'dc-console-filter';
-        return i;
-      })(),
-      el('span', {style:'text-align:right;color:var(--dc-muted);font-family:var(--mono)'}, `${state.consoleLogs.length}`)
+      filter,
+      el('span', {className:'net-count console-count'}, count, cap)
     );
     list.append(filterBar);
 
-    const q = ($('#dc-console-filter')?.value || '').toLowerCase();
-
-    state.consoleLogs
-      .filter(row => !q || JSON.stringify(row.args).toLowerCase().includes(q) || (row.stack||'').toLowerCase().includes(q))
-      .slice(-1000) // keep UI snappy
-      .reverse()
-      .forEach(row => {
-        const r = el('div', {className:'dc-row console', role:'listitem', onclick: ()=>{ state.selectedId=row.id; render(); }});
-        const lvl = el('span', {className:`level-pill level-${row.level}`}, row.level.toUpperCase());
-        const txt = el('div', {className:'url'}, summarizeArgs(row.args));
-        const ts = el('span', {style:'text-align:right;color:var(--dc-muted); font-family:var(--mono);'}, new Date(row.time).toLocaleTimeString());
-        r.append(lvl, txt, ts);
-        list.append(r);
-      });
+    const consoleRow = ({row, depth}) => {
+      const r = el('div', {className:`dc-row console${row.id === state.selectedId ? ' selected' : ''}`, role:'listitem', onclick: ()=>{ state.selectedId=row.id; render(); }});
+      const lvl = el('span', {className:`level-pill level-${row.level}`}, row.level.toUpperCase());
+      const txt = el('div', {className:'url', style: depth ? `padding-left:${depth}rem` : ''});
+      if (row.groupStart) {
+        txt.append(el('span', {className:'group-arrow', onclick: (e)=>{ e.stopPropagation(); row.collapsed = !row.collapsed; view.update(); }}, row.collapsed ? '▸ ' : '▾ '));
+      }
+      txt.append(row.fmt ? renderFormatted(row.fmt) : summarizeArgs(row.args));
+      const ts = el('span', {style:'text-align:right;color:var(--dc-muted); font-family:var(--mono);'}, new Date(row.time).toLocaleTimeString());
+      r.append(lvl, txt, ts);
+      return r;
+    };
+    const rows = virtualList(list, consoleRow, it => it.row);
 
-    const selected = state.consoleLogs.find(x=>x.id===state.selectedId);
-    if (selected) {
-      detail.append(renderConsoleDetail(selected));
-    } else {
-      detail.append(el('div', {className:'section'}, el('h3', {}, 'Details'), el('div', {className:'kv'}, el('div', {className:'k'}, 'Select a row'))));
-    }
+    let shown; // the row the detail pane was built for
+    let dropped = -1;
+    const renderDetail = () => {
+      const selected = state.consoleLogs.find(x=>x.id===state.selectedId);
+      shown = selected;
+      patchChildren(detail, selected ? renderConsoleDetail(selected)
+        : el('div', {className:'section'}, el('h3', {}, 'Details'), el('div', {className:'kv'}, el('div', {className:'k'}, 'Select a row'))));
+    };
+
+    const view = {
+      update(){
+        const items = consoleItems();
+        count.textContent = items.length === state.consoleLogs.length ? `${items.length}` : `${items.length}/${state.consoleLogs.length}`;
+        if (dropped !== state.dropped.consoleLogs) patchChildren(cap, capControl('consoleLogs'));
+        dropped = state.dropped.consoleLogs;
+        rows.update(items);
+        if (shown !== state.consoleLogs.find(x=>x.id===state.selectedId)) renderDetail();
+      },
+      paint: rows.paint,
+    };
+    view.update();
+    renderDetail();
 
     body.append(list, detail);
+    return view;
   }
 
-  const summarizeArgs = (args) => {
-    return args.map(a => {
-      if (typeof a === 'string') return a;
-      if (a instanceof Error) return `${a.name}: ${a.message}`;
-      try { return JSON.stringify(a); } catch{ return String(a); }
-    }).join(' ');
+  const summarizeArgs = (args) => args.map(a => typeof a === 'string' ? a : previewValue(a)).join(' ');
+
+  const consoleText = (row) => row.fmt ? row.fmt.map(seg => 'value' in seg ? previewValue(seg.value, 1) : seg.text).join('') : summarizeArgs(row.args);
+
+  // %c styles may colour and space text but not move it out of the row.
+  const CSS_BLOCKLIST = /^(position|top|right|bottom|left|inset|z-index|transform|float|width|height|max-|min-)/;
+  const safeStyle = (node, css) => {
+    node.style.cssText = css;
+    for (let i = node.style.length - 1; i >= 0; i--) {
+      const prop = node.style[i];
+      if (CSS_BLOCKLIST.test(prop)) node.style.removeProperty(prop);
+    }
+  };
+
+  // Renders format-specifier output; %o/%O values become inspector nodes when a path is given.
+  const renderFormatted = (segments, path) => {
+    const out = el('span', {className:'fmt'});
+    segments.forEach((seg, i) => {
+      const node = 'value' in seg ?
+        (path ? inspectNode(seg.value, {path: `${path}/fmt${i}`}) : el('span', {className:'insp-val'}, previewValue(seg.value, 1))) :
+        el('span', {}, seg.text);
+      if (seg.style) safeStyle(node, seg.style);
+      out.append(node);
+    });
+    return out;
+  };
+
+  // console.table model: one row per entry, columns from the union of object keys.
+  const tableViews = new Map(); // row id -> {sort, dir, hidden}
+  const tableModel = (data, only) => {
+    let entries;
+    try {
+      entries = data instanceof Map ? [...data] : data instanceof Set ? [...data].map((v, i) => [i, v]) : Object.entries(data);
+    } catch { entries = []; }
+    const cols = [];
+    let hasValue = false;
+    const rows = entries.map(([index, v]) => {
+      const cells = {};
+      if (v !== null && typeof v === 'object') {
+        Object.keys(v).forEach(k => {
+          if (only && !only.includes(k)) return;
+          if (!cols.includes(k)) cols.push(k);
+          cells[k] = v[k];
+        });
+      } else { hasValue = true; cells.Value = v; }
+      return {index, cells};
+    });
+    if (hasValue) cols.push('Value');
+    return {cols: only ? only.filter(c => cols.includes(c)).concat(hasValue ? ['Value'] : []) : cols, rows};
+  };
+
+  // missing cells sort last in either direction
+  const compareCells = (a, b, dir) => {
+    if (a === undefined) return b === undefined ? 0 : 1;
+    if (b === undefined) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return (a - b) * dir;
+    return previewValue(a).localeCompare(previewValue(b), undefined, {numeric: true}) * dir;
+  };
+
+  const TABLE_MAX_ROWS = 1000;
+
+  const renderConsoleTable = (row) => {
+    const {cols, rows} = tableModel(row.args[0], row.columns);
+    const total = snapshotSizes.get(row.args[0]);
+    const view = tableViews.get(row.id) || {sort: null, dir: 1, hidden: []};
+    tableViews.set(row.id, view);
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, total ? `Table (${rows.length} of ${total} rows captured)` : `Table (${rows.length} rows)`));
+    s.append(el('div', {className:'net-filter-row table-cols'}, el('span', {className:'net-count'}, 'Columns'),
+      ...cols.map(c => facetPill(c, !view.hidden.includes(c), () => { toggleIn(view.hidden, c); render(); }))));
+    const shown = ['(index)', ...cols.filter(c => !view.hidden.includes(c))];
+    const cell = (r, c) => c === '(index)' ? r.index : r.cells[c];
+    const sorted = view.sort ? rows.slice().sort((a, b) => compareCells(cell(a, view.sort), cell(b, view.sort), view.dir)) : rows;
+    const table = el('table', {className:'console-table'});
+    const head = el('tr');
+    shown.forEach(c => head.append(el('th', {onclick: () => {
+      if (view.sort === c) view.dir = -view.dir; else { view.sort = c; view.dir = 1; }
+      render();
+    }}, view.sort === c ? `${c} ${view.dir > 0 ? '▲' : '▼'}` : c)));
+    table.append(head);
+    sorted.slice(0, TABLE_MAX_ROWS).forEach(r => {
+      const tr = el('tr');
+      shown.forEach(c => {
+        const v = cell(r, c);
+        tr.append(el('td', {className:`insp-val ${c === '(index)' ? '' : valueClass(v)}`}, c === '(index)' ? String(v) : !(c in r.cells) ? '' : previewValue(v, 1)));
+      });
+      table.append(tr);
+    });
+    s.append(el('div', {className:'console-table-wrap'}, table));
+    return s;
   };
 
   const renderConsoleDetail = (row) => {
     const wrap = el('div');
+    const argsSection = el('div', {className:'section'});
+    argsSection.append(el('h3', {}, 'Arguments'));
+    const tree = el('div', {className:'insp-root'});
+    row.args.forEach((arg, i) => tree.append(inspectNode(arg, {path: `${row.id}/${i}`})));
+    argsSection.append(tree);
     wrap.append(
       sectionKV('Meta', {
         Level: row.level.toUpperCase(),
         Time: new Date(row.time).toLocaleString(),
+        ...(row.group ? {Group: consoleText(state.consoleLogs.find(r => r.id === row.group) || {args: ['(cleared)']})} : {}),
       }),
-      codeSection('Arguments', row.args),
-      row.stack ? codeSection('Stack', row.stack) : el('div')
+      row.fmt ? (() => {
+        const m = el('div', {className:'section'});
+        m.append(el('h3', {}, 'Message'), el('div', {className:'insp-root'}, renderFormatted(row.fmt, row.id)));
+        return m;
+      })() : el('div'),
+      row.level === 'table' ? renderConsoleTable(row) : el('div'),
+      argsSection,
+      row.stack ? stackSection('Stack', row.stack, row.id) : el('div')
     );
     return wrap;
   };
 
+  // ---------- Object Inspector ----------
+  const inspectorOpen = new Set(); // expanded node paths, so trees survive re-renders
+  const inspectorGetters = new Map(); // path -> value of an invoked accessor
+  const INSPECT_MAX_KEYS = 100;
+  const TypedArray = Object.getPrototypeOf(Uint8Array);
+
+  // Stands in for what console capture doesn't copy (page nodes, functions, anything too deep).
+  // The target is only weakly held: while it is alive the inspector expands it live.
+  class Opaque {
+    constructor(label, target){
+      this.label = label;
+      this.ref = typeof WeakRef === 'function' && target !== null && (typeof target === 'object' || typeof target === 'function') ? new WeakRef(target) : null;
+    }
+    deref(){ return this.ref?.deref() ?? this; }
+  }
+
+  // Arrays, Maps and Sets that capture cut short -> how many items the original had.
+  const snapshotSizes = new WeakMap();
+
+  const ctorName = (v) => {
+    try { return Object.getPrototypeOf(v)?.constructor?.name || 'Object'; } catch { return 'Object'; }
+  };
+
+  const describeNode = (n) => {
+    if (n.nodeType === 1) {
+      const id = n.id ? '#' + n.id : '';
+      const cls = typeof n.className === 'string' && n.className.trim() ? '.' + n.className.trim().split(/\s+/).join('.') : '';
+      return `<${n.tagName.toLowerCase()}${id}${cls}>`;
+    }
+    if (n.nodeType === 3) return `#text "${n.textContent.slice(0, 40)}"`;
+    if (n.nodeType === 9) return '#document';
+    return n.nodeName;
+  };
+
+  // One-line, never-throwing preview in the spirit of devtools' collapsed objects.
+  const previewValue = (v, depth = 0) => {
+    try {
+      switch (typeof v) {
+        case 'string': return depth ? JSON.stringify(v.length > 100 ? v.slice(0, 100) + '…' : v) : v;
+        case 'bigint': return `${v}n`;
+        case 'symbol': return v.toString();
+        case 'undefined': return 'undefined';
+        case 'function': return /^class[\s{]/.test(Function.prototype.toString.call(v)) ? `class ${v.name || '(anonymous)'}` : `ƒ ${v.name || ''}()`;
+        case 'object': break;
+        default: return String(v);
+      }
+      if (v === null) return 'null';
+      if (v instanceof Opaque) return v.label;
+      if (typeof Node !== 'undefined' && v instanceof Node) return describeNode(v);
+      if (v instanceof Error) return `${v.name}: ${v.message}`;
+      if (v instanceof Date) return isNaN(v) ? 'Invalid Date' : v.toISOString();
+      if (v instanceof RegExp) return String(v);
+      if (v instanceof Promise) return 'Promise';
+      if (v instanceof ArrayBuffer) return `ArrayBuffer(${v.byteLength})`;
+      if (depth > 1) {
+        if (Array.isArray(v)) return `Array(${snapshotSizes.get(v) ?? v.length})`;
+        if (v instanceof Map || v instanceof Set) return `${ctorName(v)}(${snapshotSizes.get(v) ?? v.size})`;
+        return ctorName(v) === 'Object' ? '{…}' : ctorName(v);
+      }
+      const more = (n) => n > 5 ? ', …' : '';
+      if (v instanceof TypedArray) return `${ctorName(v)}(${v.length}) [${Array.from(v.subarray(0, 5)).join(', ')}${more(v.length)}]`;
+      const size = snapshotSizes.get(v) ?? (v instanceof Map || v instanceof Set ? v.size : v.length);
+      if (Array.isArray(v)) return `${depth ? '' : `(${size}) `}[${v.slice(0, 5).map(x => previewValue(x, depth + 1)).join(', ')}${more(size)}]`;
+      if (v instanceof Map) return `Map(${size}) {${[...v].slice(0, 5).map(([k, x]) => `${previewValue(k, depth + 1)} => ${previewValue(x, depth + 1)}`).join(', ')}${more(size)}}`;
+      if (v instanceof Set) return `Set(${size}) {${[...v].slice(0, 5).map(x => previewValue(x, depth + 1)).join(', ')}${more(size)}}`;
+      const keys = Object.keys(v);
+      const name = ctorName(v);
+      return `${name === 'Object' ? '' : name + ' '}{${keys.slice(0, 5).map(k => `${k}: ${previewValue(v[k], depth + 1)}`).join(', ')}${more(keys.length)}}`;
+    } catch {
+      return '[unpreviewable]';
+    }
+  };
+
+  const valueClass = (v) => v === null || v === undefined ? 'nul' :
+    typeof v === 'string' ? 'str' : typeof v === 'number' || typeof v === 'bigint' ? 'num' :
+    typeof v === 'boolean' ? 'boo' : typeof v === 'function' ? 'fn' : '';
+
+  // Page overlay shared by anything that points at a live element.
+  let highlightBox = null;
+  const highlightElement = (node) => {
+    if (!node || node.nodeType !== 1 || !node.isConnected) {
+      highlightBox?.remove();
+      return;
+    }
+    if (!highlightBox) highlightBox = el('div', {className:'dc-highlight'});
+    const r = node.getBoundingClientRect();
+    Object.assign(highlightBox.style, {top: r.top + 'px', left: r.left + 'px', width: r.width + 'px', height: r.height + 'px'});
+    highlightBox.dataset.label = `${describeNode(node)} ${Math.round(r.width)}×${Math.round(r.height)}`;
+    if (!highlightBox.isConnected) document.body.append(highlightBox);
+  };
+
+  // Children are [label, value, opts] triples, built only when a node is expanded.
+  const inspectChildren = (v, receiver) => {
+    const out = [];
+    if (v instanceof Map) out.push(['[[Entries]]', [...v].map(([k, x]) => ({key: k, value: x})), {entries: 'map'}]);
+    else if (v instanceof Set) out.push(['[[Entries]]', [...v], {entries: 'set'}]);
+    let keys = [];
+    try { keys = Reflect.ownKeys(v); } catch {}
+    const indexed = Array.isArray(v) || v instanceof TypedArray;
+    const cut = snapshotSizes.get(v);
+    let skipped = 0;
+    keys.forEach((k, i) => {
+      if (indexed && i >= INSPECT_MAX_KEYS && typeof k === 'string' && /^\d+$/.test(k)) { skipped++; return; }
+      let desc;
+      try { desc = Object.getOwnPropertyDescriptor(v, k); } catch { return; }
+      if (!desc) return;
+      const label = typeof k === 'symbol' ? `[${k.toString()}]` : k;
+      if (desc.get || desc.set) out.push([label, undefined, {getter: desc.get, receiver, dim: !desc.enumerable}]);
+      else out.push([label, cut && k === 'length' ? cut : desc.value, {dim: !desc.enumerable}]);
+    });
+    if (skipped) out.push([`… ${skipped} more`, undefined, {note: true}]);
+    if (cut) out.push([`… ${cut - (v instanceof Map || v instanceof Set ? v.size : v.length)} more not captured`, undefined, {note: true}]);
+    const proto = Object.getPrototypeOf(v);
+    if (proto) out.push(['[[Prototype]]', proto, {proto: true, receiver}]);
+    return out;
+  };
+
+  function inspectNode(value, {path, label, dim, getter, receiver, entries, note, proto} = {}){
+    const node = el('div', {className:'insp'});
+    const line = el('div', {className:'insp-line'});
+    node.append(line);
+    if (label != null) line.append(el('span', {className:`insp-key${dim ? ' dim' : ''}`}, String(label)), note ? '' : ': ');
+    if (note) return node;
+
+    if (getter && !inspectorGetters.has(path)) {
+      const lazy = el('span', {className:'insp-getter', title:'Invoke property getter'}, '(...)');
+      lazy.addEventListener('click', (e) => {
+        e.stopPropagation();
+        let result;
+        try { result = getter.call(receiver); } catch (err) { result = err; }
+        inspectorGetters.set(path, result);
+        node.replaceWith(inspectNode(result, {path, label, dim}));
+      });
+      line.append(lazy);
+      return node;
+    }
+    if (getter) value = inspectorGetters.get(path);
+    if (value instanceof Opaque) value = value.deref();
+
+    const expandable = ((value !== null && typeof value === 'object') || typeof value === 'function') && !(value instanceof Opaque);
+    const preview = el('span', {className:`insp-val ${valueClass(value)}`},
+      entries === 'map' ? `Map entries (${value.length})` : entries === 'set' ? `Set entries (${value.length})` :
+      proto ? (Object.prototype.hasOwnProperty.call(value, 'constructor') && value.constructor?.name) || 'Object' : previewValue(value, label == null ? 0 : 1));
+    if (!proto && typeof Node !== 'undefined' && value instanceof Node && value.nodeType === 1) {
+      preview.classList.add('node');
+      preview.addEventListener('mouseenter', () => highlightElement(value));
+      preview.addEventListener('mouseleave', () => highlightElement(null));
+    }
+    if (!expandable) { line.append(preview); return node; }
+
+    const arrow = el('span', {className:'insp-arrow'});
+    const kids = el('div', {className:'insp-children'});
+    line.prepend(arrow);
+    line.append(preview);
+    node.append(kids);
+    const fill = () => {
+      const open = inspectorOpen.has(path);
+      arrow.textContent = open ? '▾' : '▸';
+      kids.innerHTML = '';
+      if (!open) return;
+      if (entries) {
+        value.forEach((entry, i) => {
+          if (entries === 'set') kids.append(inspectNode(entry, {path: `${path}/${i}`, label: i}));
+          else {
+            const pair = el('div', {className:'insp'});
+            pair.append(
+              el('div', {className:'insp-line'}, el('span', {className:'insp-key'}, String(i)), ': ', el('span', {className:'insp-val'}, `${previewValue(entry.key, 1)} => ${previewValue(entry.value, 1)}`)),
+              el('div', {className:'insp-children'},
+                inspectNode(entry.key, {path: `${path}/${i}/k`, label: 'key'}),
+                inspectNode(entry.value, {path: `${path}/${i}/v`, label: 'value'}))
+            );
+            kids.append(pair);
+          }
+        });
+        return;
+      }
+      inspectChildren(value, receiver ?? value).forEach(([k, v, opts]) => {
+        kids.append(inspectNode(v, {path: `${path}/${typeof k === 'string' ? k : String(k)}`, label: k, ...opts}));
+      });
+    };
+    line.classList.add('expandable');
+    line.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (inspectorOpen.has(path)) inspectorOpen.delete(path); else inspectorOpen.add(path);
+      fill();
+    });
+    fill();
+    return node;
+  }
+
   const codeSection = (title, data) => {
     const s = el('div',{className:'section'});
     s.append(el('h3',{}, title));
@@ -238,174 +929,2327 @@
 
   async function runRepl(code){
     if (!code?.trim()) return;
+    pushReplHistory(code);
     // Display the input
     pushConsole('log', ['› ' + code]);
 
     try {
-      const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-      const fn = new AsyncFunction('return (async()=>{'+code+'\n})()');
-      const result = await fn();
+      const api = commandLineAPI();
+      const names = Object.keys(api);
+      const fn = compileRepl(code, names);
+      const result = await fn(...names.map(n => api[n]));
+      replResults.unshift(result);
+      replResults.length = Math.min(replResults.length, 5);
       pushConsole('log', [result]);
     } catch (err) {
       pushConsole('error', [err]);
     }
   }
 
-  // ---------- Network Tab ----------
-  function mountNetwork(body){
-    const list = el('div', {className:'dc-list', role:'list'});
-    const detail = el('div', {className:'dc-detail', role:'region'});
-
-    const head = el('div', {className:'dc-row', style:'position:sticky;top:0;background:#10121a;border-bottom:1px solid #1b1f2d;z-index:1'},
-      el('strong', {className:'method'}, 'Method'),
-      el('strong', {className:'url'}, 'URL'),
-      el('strong', {className:'status'}, 'Status'),
-      el('strong', {className:'dur'}, 'Time')
-    );
-    list.append(head);
+  // Expressions first so `1 + 1` yields a result, then statements whose last part is an
+  // expression (`let a = 5; a`), then a plain statement body.
+  // The helpers are parameters of an outer function and the input is the body of an inner async one,
+  // so `const values = …` shadows the helper instead of clashing with it.
+  const compileRepl = (code, params) => {
+    const compile = (body) => {
+      const outer = new Function(...params, 'return async function(){\n' + body + '\n};');
+      return (...args) => outer(...args)();
+    };
+    const attempts = ['return (' + code + '\n);'];
+    const cut = code.trimEnd().replace(/;$/, '').lastIndexOf(';');
+    if (cut !== -1) attempts.push(code.slice(0, cut + 1) + '\nreturn (' + code.slice(cut + 1).replace(/;\s*$/, '') + '\n);');
+    for (const body of attempts) {
+      try { return compile(body); } catch {}
+    }
+    return compile(code);
+  };
 
-    state.network.slice(-1000).reverse().forEach(req => {
-      const r = el('div', {className:'dc-row', role:'listitem', onclick: ()=>{ state.selectedId=req.id; render(); }});
-      r.append(
-        el('span', {className:'method'}, req.method),
-        el('div', {className:'url', title:req.url}, shortURL(req.url)),
-        el('span', {className:'status', style:`color:${statusColor(req.status)};`}, req.status ?? '—'),
-        el('span', {className:'dur'}, `${req.duration?.toFixed?.(0) ?? '—'} ms`)
-      );
-      list.append(r);
-    });
+  // ---------- Command Line API ----------
+  // Passed to REPL code as parameters of an enclosing function, so nothing is defined on window.
+  const replResults = []; // newest first: $_, $1 … $4
+  const monitored = new Map(); // original function -> {wrapper, restore}
 
-    const selected = state.network.find(x=>x.id===state.selectedId);
-    if (selected) detail.append(renderNetworkDetail(selected));
-    else detail.append(sectionKV('Details', {Hint:'Select a request'}));
+  const copyText = async (text) => {
+    try { await navigator.clipboard.writeText(text); return true; }
+    catch {
+      const ta = el('textarea', {value: text, style:'position:fixed;opacity:0'});
+      document.body.append(ta);
+      ta.select();
+      let ok = false;
+      try { ok = document.execCommand('copy'); } catch {}
+      ta.remove();
+      return ok;
+    }
+  };
 
-    body.append(list, detail);
-  }
+  // Accepts a URL substring, RegExp, predicate or {url, method, status, type, text} object.
+  const matchRequest = (filter) => {
+    if (filter == null) return () => true;
+    if (typeof filter === 'function') return filter;
+    if (typeof filter === 'string') return (r) => r.url.includes(filter);
+    if (filter instanceof RegExp) return (r) => filter.test(r.url);
+    return (r) => {
+      if (filter.url != null && !(filter.url instanceof RegExp ? filter.url.test(r.url) : r.url.includes(filter.url))) return false;
+      if (filter.method && r.method !== String(filter.method).toUpperCase()) return false;
+      if (filter.type && r.type !== filter.type) return false;
+      if (filter.status != null && !(typeof filter.status === 'number' ? r.status === filter.status : statusClass(r) === filter.status)) return false;
+      if (filter.text && !requestHaystack(r).includes(String(filter.text).toLowerCase())) return false;
+      return true;
+    };
+  };
 
-  const statusColor = (s) => s == null ? 'var(--dc-muted)' :
-    s >= 500 ? 'var(--dc-red)' : s >= 400 ? 'var(--dc-yellow)' : 'var(--dc-green)';
+  const monitorFunction = (fn) => {
+    if (typeof fn !== 'function') throw new TypeError('monitor() expects a function');
+    if (monitored.has(fn)) return monitored.get(fn).wrapper;
+    const name = fn.name || '(anonymous)';
+    const wrapper = function(...args){
+      pushConsole('info', [`function ${name} called` + (args.length ? ' with arguments:' : ''), ...args]);
+      return new.target ? Reflect.construct(fn, args, new.target) : fn.apply(this, args);
+    };
+    Object.defineProperty(wrapper, 'name', {value: name});
+    // globals can be swapped in place; anything else has to use the returned wrapper
+    const globals = Object.keys(window).filter(k => { try { return window[k] === fn; } catch { return false; } });
+    globals.forEach(k => { window[k] = wrapper; });
+    monitored.set(fn, {wrapper, restore: () => globals.forEach(k => { if (window[k] === wrapper) window[k] = fn; })});
+    pushConsole('info', [globals.length ? `Monitoring ${name}` : `Monitoring ${name}: not a global, call the returned wrapper`]);
+    return wrapper;
+  };
 
-  const renderNetworkDetail = (req) => {
-    const wrap = el('div');
-    wrap.append(
-      sectionKV('Overview', {
-        Method: req.method,
-        URL: req.url,
-        Type: req.type,
-        Status: req.status ?? '—',
-        Duration: (req.duration?.toFixed?.(0) ?? '—') + ' ms',
-        'Req Size': fmtBytes(req.requestSize),
-        'Res Size': fmtBytes(req.responseSize),
-        Started: new Date(req.startTime).toLocaleString(),
-        Finished: req.endTime ? new Date(req.endTime).toLocaleString() : '—'
-      }),
-      sectionKV('Request Headers', req.requestHeaders || {'(none)':''}),
-      req.requestBody ? codeSection('Request Body', tryFormat(req.requestBody)) : el('div'),
-      sectionKV('Response Headers', req.responseHeaders || {'(none)':''}),
-      req.error ? codeSection('Error', String(req.error)) :
-        (req.responseText ? codeSection('Response', previewContent(req)) : el('div')),
-      (()=>{
-        const s = el('div', {className:'section'});
-        s.append(el('h3', {}, 'Actions'));
-        const bar = el('div', {className:'kv'});
-        const curl = buildCurl(req);
-        const copyBtn = el('button', {className:'dc-btn', onclick: () => { navigator.clipboard.writeText(curl); pushConsole('info', ['Copied cURL to clipboard']); }}, 'Copy as cURL');
-        const repeatBtn = el('button', {className:'dc-btn', onclick: () => repeatRequest(req)}, 'Repeat Request');
-        bar.append(el('div', {className:'k'}, 'cURL'), el('div', {}, copyBtn), el('div', {className:'k'}, 'Replay'), el('div',{}, repeatBtn));
-        s.append(bar);
-        return s;
-      })()
-    );
-    return wrap;
+  const unmonitorFunction = (fn) => {
+    for (const [orig, m] of monitored) {
+      if (orig !== fn && m.wrapper !== fn) continue;
+      m.restore();
+      monitored.delete(orig);
+      pushConsole('info', [`Stopped monitoring ${orig.name || '(anonymous)'}`]);
+      return orig;
+    }
+    return fn;
   };
 
-  const tryFormat = (body) => {
-    if (typeof body === 'string') {
-      // maybe JSON
-      try { return JSON.stringify(JSON.parse(body), null, 2); } catch { return body; }
+  const inspectValue = (value) => {
+    if (value instanceof Element && !isOwnNode(value)) {
+      selectElement(value);
+      state.activeTab = 'elements';
+      highlightElement(value);
+      setTimeout(() => highlightElement(null), 1500);
+      return value;
     }
-    return body;
+    const row = pushConsole('log', [value], undefined, {dir: true});
+    inspectorOpen.add(`${row.id}/0`);
+    state.selectedId = row.id;
+    return value;
   };
 
-  const previewContent = (req) => {
-    const ct = (req.responseHeaders?.['content-type'] || '').toLowerCase();
-    if (ct.includes('application/json')) {
-      try { return syntaxHighlight(JSON.parse(req.responseText)); } catch { return syntaxHighlight(req.responseText); }
+  const commandLineAPI = () => ({
+    $_: replResults[0],
+    $0: state.inspectedElement,
+    $1: replResults[1], $2: replResults[2], $3: replResults[3], $4: replResults[4],
+    $: (sel, ctx = document) => ctx.querySelector(sel),
+    $$: (sel, ctx = document) => Array.from(ctx.querySelectorAll(sel)),
+    copy: (value) => {
+      const text = typeof value === 'string' ? value : (safeJSON(value) ?? String(value));
+      copyText(text).then(ok => pushConsole(ok ? 'info' : 'warn', [ok ? `Copied ${fmtBytes(text.length)} to clipboard` : 'Clipboard is not available']));
+    },
+    keys: (o) => Object.keys(o),
+    values: (o) => Object.values(o),
+    clear: () => { state.consoleLogs.length = 0; state.dropped.consoleLogs = 0; state.selectedId = null; scheduleRender(); },
+    table: (data, columns) => console.table(data, columns),
+    inspect: inspectValue,
+    monitor: monitorFunction,
+    unmonitor: unmonitorFunction,
+    queryRequests: (filter) => state.network.filter(matchRequest(filter)),
+  });
+
+  // ---------- Stack Traces ----------
+  // V8:      "    at fn (file:line:col)" / "    at file:line:col"
+  // Gecko/JSC: "fn@file:line:col" / "@file:line:col" / "global code@file:line:col"
+  const V8_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+  const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/;
+
+  const parseStack = (stack) => String(stack || '').split('\n').map((line, i) => {
+    const v8 = /^\s*at /.test(line) && V8_FRAME.exec(line);
+    const m = v8 || GECKO_FRAME.exec(line);
+    if (m) return { fn: m[1] || '(anonymous)', file: m[2], line: +m[3], column: +m[4], raw: line.trim() };
+    // V8's first line is the error message; anything else unparseable is kept verbatim
+    if (!line.trim() || (i === 0 && !/^\s*at /.test(line))) return null;
+    return { raw: line.trim() };
+  }).filter(Boolean);
+
+  const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const decodeVLQ = (str) => {
+    const out = [];
+    let value = 0, shift = 0;
+    for (const ch of str) {
+      let digit = B64.indexOf(ch);
+      const more = digit & 32;
+      digit &= 31;
+      value += digit * 2 ** shift;
+      if (more) { shift += 5; continue; }
+      out.push(value & 1 ? -Math.floor(value / 2) : Math.floor(value / 2));
+      value = shift = 0;
     }
-    if (ct.includes('text/')) return req.responseText;
-    return `(binary ${fmtBytes(req.responseSize)})`;
+    return out;
   };
 
-  const buildCurl = (req) => {
-    const h = req.requestHeaders || {};
-    const headerLines = Object.entries(h).map(([k,v]) => `-H ${shQuote(k+': '+v)}`).join(' ');
-    const method = req.method && req.method.toUpperCase() !== 'GET' ? `-X ${req.method.toUpperCase()}` : '';
-    const data = req.requestBody != null && req.requestBody !== '' ? `--data-raw ${shQuote(typeof req.requestBody === 'string' ? req.requestBody : JSON.stringify(req.requestBody))}` : '';
-    return `curl ${method} ${headerLines} ${data} ${shQuote(req.url)}`.replace(/\s+/g,' ').trim();
+  // Source map v3 "mappings" -> per generated line, sorted [genCol, source, line, col, name] (all 0-based).
+  const parseMappings = (mappings) => {
+    const lines = [];
+    let source = 0, line = 0, col = 0, name = 0;
+    for (const group of mappings.split(';')) {
+      const segs = [];
+      let genCol = 0;
+      for (const seg of group.split(',')) {
+        if (!seg) continue;
+        const v = decodeVLQ(seg);
+        genCol += v[0];
+        if (v.length >= 4) {
+          source += v[1]; line += v[2]; col += v[3];
+          if (v.length >= 5) name += v[4];
+          segs.push([genCol, source, line, col, v.length >= 5 ? name : -1]);
+        }
+      }
+      lines.push(segs);
+    }
+    return lines;
   };
 
-  const shQuote = (s) => `'${String(s).replace(/'/g, `'\\''`)}'`;
+  const decodeDataURI = (uri) => {
+    const comma = uri.indexOf(',');
+    const meta = uri.slice(5, comma), data = uri.slice(comma + 1);
+    if (!/;base64$/i.test(meta)) return decodeURIComponent(data);
+    const bin = atob(data);
+    return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+  };
 
-  async function repeatRequest(req){
-    try {
-      const init = {
-        method: req.method,
-        headers: req.requestHeaders,
-        body: (req.method||'GET').toUpperCase() === 'GET' ? undefined :
-              (typeof req.requestBody === 'string' ? req.requestBody : JSON.stringify(req.requestBody))
-      };
-      const res = await fetch(req.url, init);
-      console.info('Replayed request', req.method, req.url, res.status);
-    } catch (e) {
-      console.error('Replay failed', e);
-    }
-  }
+  const sourceFiles = new Map(); // url -> Promise<{text, map}>
+  const frameCache = new Map(); // "file:line:col" -> {pending} | {original, snippet}
+  const openFrames = new Set(); // expanded "owner/index" keys
+
+  // Reads a script with the unpatched fetch (so it never shows in Network) plus its source map.
+  const loadSourceFile = (url) => {
+    if (!sourceFiles.has(url)) sourceFiles.set(url, (async () => {
+      const res = await original.fetch(url);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const text = await res.text();
+      let map = null;
+      const ref = [...text.matchAll(/[#@]\s*sourceMappingURL=(\S+)\s*$/gm)].pop()?.[1];
+      if (ref) {
+        try {
+          const mapURL = ref.startsWith('data:') ? url : new URL(ref, url).href;
+          const raw = ref.startsWith('data:') ? decodeDataURI(ref) : await (await original.fetch(mapURL)).text();
+          const json = JSON.parse(raw);
+          map = { ...json, mapURL, lines: parseMappings(json.mappings || '') };
+        } catch {}
+      }
+      return { text, map };
+    })());
+    return sourceFiles.get(url);
+  };
+
+  // Lines are clipped to a window around the column: a minified bundle can be one line of megabytes.
+  const SNIPPET_WIDTH = 200;
+  const snippetAround = (text, line, column = 1, radius = 3) => {
+    const lines = String(text).split('\n');
+    const start = Math.max(1, line - radius);
+    const from = Math.max(0, column - 1 - SNIPPET_WIDTH / 2);
+    const clip = (s) => s.length <= SNIPPET_WIDTH ? s :
+      (from > 0 ? '…' : '') + s.slice(from, from + SNIPPET_WIDTH) + (s.length > from + SNIPPET_WIDTH ? '…' : '');
+    return { start, line, lines: lines.slice(start - 1, Math.min(lines.length, line + radius)).map(clip) };
+  };
+
+  const frameKey = (frame) => `${frame.file}:${frame.line}:${frame.column}`;
+
+  const resolveFrame = (frame) => {
+    const key = frameKey(frame);
+    if (frameCache.has(key)) return frameCache.get(key);
+    const entry = { pending: true };
+    frameCache.set(key, entry);
+    if (!/^(https?|file|blob):/.test(frame.file)) { entry.pending = false; return entry; }
+    loadSourceFile(frame.file).then(async ({text, map}) => {
+      entry.snippet = snippetAround(text, frame.line, frame.column);
+      const segs = map?.lines[frame.line - 1];
+      if (segs?.length) {
+        let seg = segs[0];
+        for (const s of segs) { if (s[0] <= frame.column - 1) seg = s; else break; }
+        const srcPath = (map.sourceRoot ? map.sourceRoot.replace(/\/?$/, '/') : '') + map.sources[seg[1]];
+        let source = srcPath;
+        try { source = new URL(srcPath, map.mapURL).href; } catch {}
+        entry.original = { source, line: seg[2] + 1, column: seg[3] + 1, name: seg[4] >= 0 ? map.names?.[seg[4]] : null };
+        let content = map.sourcesContent?.[seg[1]];
+        if (content == null) { try { content = (await loadSourceFile(source)).text; } catch {} }
+        if (content != null) entry.snippet = snippetAround(content, entry.original.line, entry.original.column);
+      }
+    }).catch(() => {}).finally(() => {
+      entry.pending = false;
+      scheduleRender(true);
+    });
+    return entry;
+  };
+
+  const fileLabel = (url) => {
+    try { const u = new URL(url); return u.pathname.split('/').pop() || u.host; } catch { return url; }
+  };
+
+  const snippetPre = ({start, line, lines}) => {
+    const pre = el('pre', {className:'code stack-snippet'});
+    lines.forEach((text, i) => {
+      const n = start + i;
+      pre.append(el('div', {className: n === line ? 'hl' : ''}, el('span', {className:'ln'}, String(n).padStart(4)), ' ', text));
+    });
+    return pre;
+  };
+
+  function stackSection(title, stack, owner){
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, title));
+    const frames = parseStack(stack);
+    frames.forEach((frame, i) => {
+      const row = el('div', {className:'stack-frame'});
+      if (!frame.file) { row.append(el('span', {className:'stack-raw'}, frame.raw)); s.append(row); return; }
+      const key = `${owner}/${i}`;
+      const open = openFrames.has(key);
+      // sources are fetched when a frame is first expanded; collapsed ones show what is already resolved
+      const info = open ? resolveFrame(frame) : frameCache.get(frameKey(frame)) || {};
+      const orig = info.original;
+      const head = el('div', {className:'stack-head', title:'Show source'},
+        el('span', {className:'dom-arrow'}, open ? '▾' : '▸'),
+        el('span', {className:'stack-fn'}, orig?.name || frame.fn),
+        el('a', {className:'stack-file', href: orig?.source || frame.file, target:'_blank', rel:'noopener', title: frame.raw, onclick: (e) => e.stopPropagation()},
+          orig ? `${fileLabel(orig.source)}:${orig.line}:${orig.column}` : `${fileLabel(frame.file)}:${frame.line}:${frame.column}`),
+        orig ? el('span', {className:'stack-gen'}, `(${fileLabel(frame.file)}:${frame.line}:${frame.column})`) : '',
+        info.pending ? el('span', {className:'stack-gen'}, 'resolving…') : ''
+      );
+      head.addEventListener('click', () => { if (openFrames.has(key)) openFrames.delete(key); else openFrames.add(key); render(); });
+      row.append(head);
+      if (open) row.append(info.snippet ? snippetPre(info.snippet) : el('div', {className:'stack-gen'}, info.pending ? 'Loading source…' : 'Source not available.'));
+      s.append(row);
+    });
+    const raw = el('details', {className:'stack-rawblock'}, el('summary', {}, 'Raw'), el('pre', {className:'code'}, String(stack)));
+    s.append(raw);
+    return s;
+  }
+
+  // ---------- REPL Editor ----------
+  // One textarea for the page's lifetime: render() re-attaches it, so the draft,
+  // caret and undo stack survive re-renders.
+  const HISTORY_KEY = '__devconsole_history';
+  const HISTORY_MAX = 200;
+  const JS_KEYWORDS = ['await','async','break','case','catch','class','const','continue','debugger','default','delete','do','else',
+    'export','extends','false','finally','for','function','if','import','in','instanceof','let','new','null','return','super','switch',
+    'this','throw','true','try','typeof','undefined','var','void','while','with','yield'];
+  const BRACKETS = {'(':')', '[':']', '{':'}'};
+  const CLOSERS = {')':'(', ']':'[', '}':'{'};
+
+  let replHistory = [];
+  try { replHistory = JSON.parse(localStorage.getItem(HISTORY_KEY)) || []; } catch {}
+  let historyPos = replHistory.length; // == length while editing a fresh draft
+  let historyDraft = '';
+
+  const pushReplHistory = (code) => {
+    if (replHistory[replHistory.length - 1] !== code) replHistory.push(code);
+    if (replHistory.length > HISTORY_MAX) replHistory.splice(0, replHistory.length - HISTORY_MAX);
+    historyPos = replHistory.length;
+    historyDraft = '';
+    try { localStorage.setItem(HISTORY_KEY, JSON.stringify(replHistory)); } catch {}
+  };
+
+  // Walks code outside strings and comments; returns a stack of unclosed bracket offsets.
+  const scanBrackets = (code, onPair) => {
+    const stack = [];
+    for (let i = 0; i < code.length; i++) {
+      const ch = code[i];
+      if (ch === '"' || ch === "'" || ch === '`') {
+        for (i++; i < code.length && code[i] !== ch; i++) if (code[i] === '\\') i++;
+      } else if (ch === '/' && code[i + 1] === '/') {
+        while (i < code.length && code[i] !== '\n') i++;
+      } else if (ch === '/' && code[i + 1] === '*') {
+        const end = code.indexOf('*/', i + 2);
+        i = end === -1 ? code.length : end + 1;
+      } else if (BRACKETS[ch]) stack.push(i);
+      else if (CLOSERS[ch]) {
+        const open = stack.length && code[stack[stack.length - 1]] === CLOSERS[ch] ? stack.pop() : -1;
+        onPair?.(open, i);
+      }
+    }
+    return stack;
+  };
+
+  const matchingBracket = (code, caret) => {
+    const pairs = [];
+    scanBrackets(code, (open, close) => { if (open !== -1) pairs.push([open, close]); });
+    for (const pos of [caret - 1, caret]) {
+      const pair = pairs.find(([a, b]) => a === pos || b === pos);
+      if (pair) return pair;
+    }
+    return null;
+  };
+
+  const escapeHTML = (str) => str.replace(/[&<>]/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;'}[m]));
+
+  const replEditor = (() => {
+    const wrap = el('div', {className:'repl-wrap'});
+    const mirror = el('pre', {className:'repl-mirror'});
+    mirror.setAttribute('aria-hidden', 'true');
+    const input = el('textarea', {className:'dc-input repl-input', id:'dc-repl', rows:1, spellcheck:false,
+      placeholder:'› Type JavaScript… Enter runs, Shift+Enter for newline, Tab completes, ↑/↓ history. Use await freely.'});
+    const hints = el('div', {className:'repl-hints', hidden:true});
+    wrap.append(mirror, input, hints);
+    return {wrap, mirror, input, hints, completion: null};
+  })();
+
+  const replSync = () => {
+    const {input, mirror} = replEditor;
+    const lines = input.value.split('\n').length;
+    input.rows = Math.min(8, lines);
+    const pair = input.selectionStart === input.selectionEnd ? matchingBracket(input.value, input.selectionStart) : null;
+    const text = input.value;
+    mirror.innerHTML = !pair ? escapeHTML(text) + '\n' :
+      escapeHTML(text.slice(0, pair[0])) + `<mark>${escapeHTML(text[pair[0]])}</mark>` +
+      escapeHTML(text.slice(pair[0] + 1, pair[1])) + `<mark>${escapeHTML(text[pair[1]])}</mark>` +
+      escapeHTML(text.slice(pair[1] + 1)) + '\n';
+    mirror.scrollTop = input.scrollTop;
+    mirror.scrollLeft = input.scrollLeft;
+  };
+
+  const setReplText = (text) => {
+    replEditor.input.value = text;
+    replEditor.input.setSelectionRange(text.length, text.length);
+    hideCompletions();
+    replSync();
+  };
+
+  const submitRepl = () => {
+    const code = replEditor.input.value;
+    setReplText('');
+    runRepl(code);
+  };
+
+  // Property names along the prototype chain of the object the caret is completing on.
+  const completionCandidates = (before) => {
+    const m = /((?:[A-Za-z_$][\w$]*\s*\.\s*)*)([A-Za-z_$][\w$]*)?$/.exec(before);
+    const prefix = m[2] || '';
+    const start = before.length - prefix.length;
+    const chain = m[1].split('.').map(x => x.trim()).filter(Boolean);
+    // `foo().ba` and friends: the receiver isn't a plain property chain, so don't guess
+    if (/\.\s*$/.test(before.slice(0, m.index))) return null;
+    let target = window;
+    for (const name of chain) {
+      try { target = target?.[name]; } catch { return null; }
+      if (target == null) return null;
+    }
+    const names = new Set(chain.length ? [] : [...JS_KEYWORDS, ...Object.keys(commandLineAPI())]);
+    let o = Object(target);
+    for (let depth = 0; o && depth < 20; depth++, o = Object.getPrototypeOf(o)) {
+      try { Object.getOwnPropertyNames(o).forEach(n => names.add(n)); } catch { break; }
+    }
+    const list = [...names].filter(n => /^[A-Za-z_$][\w$]*$/.test(n) && n.startsWith(prefix) && n !== prefix)
+      .sort((a, b) => (a[0] === '_') - (b[0] === '_') || a.localeCompare(b));
+    return {start, prefix, list: list.slice(0, 200)};
+  };
+
+  const hideCompletions = () => {
+    replEditor.completion = null;
+    replEditor.hints.hidden = true;
+  };
+
+  const showCompletions = () => {
+    const {hints, completion} = replEditor;
+    hints.innerHTML = '';
+    completion.list.slice(0, 50).forEach((name, i) => {
+      const item = el('div', {className: `repl-hint${i === completion.index ? ' active' : ''}`, onmousedown: (e) => {
+        e.preventDefault();
+        completion.index = i;
+        applyCompletion();
+        hideCompletions();
+      }}, name);
+      hints.append(item);
+    });
+    if (completion.list.length > 50) hints.append(el('div', {className:'repl-hint more'}, `… ${completion.list.length - 50} more`));
+    hints.hidden = false;
+    hints.querySelector('.active')?.scrollIntoView?.({block:'nearest'});
+  };
+
+  const replaceRange = (start, end, text) => {
+    const {input} = replEditor;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.setSelectionRange(start + text.length, start + text.length);
+    replSync();
+  };
+
+  const applyCompletion = () => {
+    const {input, completion} = replEditor;
+    replaceRange(completion.start, input.selectionStart, completion.list[completion.index]);
+  };
+
+  // First Tab inserts the common prefix (or the only match); further Tabs cycle.
+  const completeRepl = (backwards) => {
+    const {input} = replEditor;
+    const c = replEditor.completion;
+    if (c) {
+      c.index = (c.index + (backwards ? -1 : 1) + c.list.length) % c.list.length;
+      applyCompletion();
+      showCompletions();
+      return;
+    }
+    const found = completionCandidates(input.value.slice(0, input.selectionStart));
+    if (!found?.list.length) return;
+    if (found.list.length === 1) { replaceRange(found.start, input.selectionStart, found.list[0]); return; }
+    let common = found.list[0];
+    for (const n of found.list) while (!n.startsWith(common)) common = common.slice(0, -1);
+    if (common.length > found.prefix.length) replaceRange(found.start, input.selectionStart, common);
+    replEditor.completion = {...found, index: -1};
+    showCompletions();
+  };
+
+  const caretLine = () => {
+    const {input} = replEditor;
+    const before = input.value.slice(0, input.selectionStart);
+    return {first: !before.includes('\n'), last: !input.value.slice(input.selectionEnd).includes('\n')};
+  };
+
+  const browseHistory = (dir) => {
+    if (!replHistory.length) return false;
+    const next = clamp(0, historyPos + dir, replHistory.length);
+    if (next === historyPos) return false;
+    if (historyPos === replHistory.length) historyDraft = replEditor.input.value;
+    historyPos = next;
+    setReplText(historyPos === replHistory.length ? historyDraft : replHistory[historyPos]);
+    return true;
+  };
+
+  replEditor.input.addEventListener('keydown', (e) => {
+    const {input} = replEditor;
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      completeRepl(e.shiftKey);
+      return;
+    }
+    if (replEditor.completion && e.key === 'Escape') {
+      e.stopPropagation();
+      hideCompletions();
+      return;
+    }
+    if (replEditor.completion && e.key === 'Enter' && replEditor.completion.index >= 0) {
+      e.preventDefault();
+      hideCompletions();
+      return;
+    }
+    hideCompletions();
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      submitRepl();
+    } else if (e.key === 'Enter' && !e.shiftKey && !e.altKey) {
+      // like devtools: run complete input, keep editing while brackets are open
+      if (scanBrackets(input.value).length === 0) { e.preventDefault(); submitRepl(); }
+    } else if ((e.key === 'l' || e.key === 'L') && e.ctrlKey) {
+      e.preventDefault();
+      state.consoleLogs.length = 0;
+      state.dropped.consoleLogs = 0;
+      state.selectedId = null;
+      render();
+    } else if (e.key === 'ArrowUp' && !e.shiftKey && caretLine().first) {
+      if (browseHistory(-1)) e.preventDefault();
+    } else if (e.key === 'ArrowDown' && !e.shiftKey && caretLine().last) {
+      if (browseHistory(1)) e.preventDefault();
+    }
+  });
+  replEditor.input.addEventListener('input', () => { historyPos = replHistory.length; replSync(); });
+  ['keyup', 'click', 'focus', 'scroll'].forEach(t => replEditor.input.addEventListener(t, replSync));
+  replEditor.input.addEventListener('blur', hideCompletions);
+
+  // ---------- Elements Tab ----------
+  const domExpanded = new WeakSet();
+  const DOM_MAX_CHILDREN = 200;
+  let picking = false;
+  let domEditing = false; // an inline edit is in progress; hold off mutation re-renders
+  let styleFilter = '';
+
+  const isOwnNode = (n) => n === root || n === toggleBtn || (root?.contains(n) ?? false) || (highlightBox?.contains(n) ?? false);
+
+  const domChildren = (n) => Array.from(n.childNodes).filter(c =>
+    c.nodeType === 1 ? !isOwnNode(c) : c.nodeType === 3 ? c.data.trim() !== '' : c.nodeType === 8);
+
+  const cssPath = (node) => {
+    const parts = [];
+    for (let n = node; n && n.nodeType === 1 && parts.length < 5; n = n.parentElement) {
+      if (n.id) { parts.unshift(`#${window.CSS?.escape ? CSS.escape(n.id) : n.id}`); break; }
+      let part = n.tagName.toLowerCase();
+      const same = n.parentElement ? [...n.parentElement.children].filter(c => c.tagName === n.tagName) : [];
+      if (same.length > 1) part += `:nth-of-type(${same.indexOf(n) + 1})`;
+      parts.unshift(part);
+      if (n === document.documentElement) break;
+    }
+    return parts.join(' > ');
+  };
+
+  const selectElement = (node) => {
+    state.inspectedElement = node;
+    for (let p = node.parentElement; p; p = p.parentElement) domExpanded.add(p);
+  };
+
+  // The highlight overlay is added to and removed from <body> on every hover; those records aren't page changes.
+  const pageMutation = (r) => !isOwnNode(r.target) &&
+    (r.type !== 'childList' || [...r.addedNodes, ...r.removedNodes].some(n => !isOwnNode(n)));
+
+  let domObserver = null;
+  const syncDomObserver = () => {
+    const want = state.open && state.activeTab === 'elements' && typeof MutationObserver !== 'undefined';
+    if (want && !domObserver) {
+      domObserver = new MutationObserver((records) => {
+        if (domEditing || !records.some(pageMutation)) return;
+        scheduleRender();
+      });
+      domObserver.observe(document.documentElement, {subtree: true, childList: true, attributes: true, characterData: true});
+    } else if (!want && domObserver) {
+      domObserver.disconnect();
+      domObserver = null;
+    }
+  };
+
+  const startPicking = () => {
+    picking = true;
+    document.addEventListener('mousemove', onPickMove, true);
+    document.addEventListener('click', onPickClick, true);
+    document.addEventListener('keydown', onPickKey, true);
+    render();
+  };
+  const stopPicking = () => {
+    picking = false;
+    document.removeEventListener('mousemove', onPickMove, true);
+    document.removeEventListener('click', onPickClick, true);
+    document.removeEventListener('keydown', onPickKey, true);
+    highlightElement(null);
+    render();
+  };
+  function onPickMove(e){ highlightElement(isOwnNode(e.target) ? null : e.target); }
+  function onPickClick(e){
+    if (isOwnNode(e.target)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    selectElement(e.target);
+    stopPicking();
+  }
+  function onPickKey(e){
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    stopPicking();
+  }
+
+  // Makes a span editable in place; commit runs on Enter/blur, Escape restores.
+  const inlineEdit = (span, value, commit) => {
+    domEditing = true;
+    span.contentEditable = 'true';
+    span.textContent = value;
+    span.focus();
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      domEditing = false;
+      span.contentEditable = 'false';
+      if (save) commit(span.textContent);
+      render();
+    };
+    span.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); finish(true); }
+      if (e.key === 'Escape') { e.preventDefault(); finish(false); }
+    });
+    span.addEventListener('blur', () => finish(true));
+  };
+
+  const domOpenTag = (n) => {
+    const tag = el('span', {className:'dom-tag'}, `<${n.tagName.toLowerCase()}`);
+    const frag = el('span', {}, tag);
+    for (const a of n.attributes) {
+      frag.append(' ', el('span', {className:'dom-attr'}, a.name));
+      if (a.value !== '') frag.append('=', el('span', {className:'dom-val'}, `"${a.value.length > 80 ? a.value.slice(0, 80) + '…' : a.value}"`));
+    }
+    frag.append(el('span', {className:'dom-tag'}, '>'));
+    return frag;
+  };
+
+  function domTreeNode(n, depth){
+    const wrap = el('div', {className:'dom-node'});
+    const line = el('div', {className:'dom-line', style:`padding-left:${depth * 14 + 6}px`});
+    wrap.append(line);
+
+    if (n.nodeType === 3) {
+      const text = el('span', {className:'dom-text', title:'Double-click to edit'}, `"${n.data.trim().slice(0, 200)}"`);
+      text.addEventListener('dblclick', () => inlineEdit(text, n.data, (v) => { n.data = v; }));
+      line.append(el('span', {className:'dom-arrow'}), text);
+      return wrap;
+    }
+    if (n.nodeType === 8) {
+      line.append(el('span', {className:'dom-arrow'}), el('span', {className:'dom-comment'}, `<!--${n.data.slice(0, 120)}-->`));
+      return wrap;
+    }
+
+    const kids = domChildren(n);
+    const tagName = n.tagName.toLowerCase();
+    const close = el('span', {className:'dom-tag'}, `</${tagName}>`);
+    const open = domExpanded.has(n);
+    const inlineText = kids.length === 1 && kids[0].nodeType === 3 && kids[0].data.length <= 80 ? kids[0] : null;
+    const arrow = el('span', {className:'dom-arrow'}, kids.length && !inlineText ? (open ? '▾' : '▸') : '');
+    arrow.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (domExpanded.has(n)) domExpanded.delete(n); else domExpanded.add(n);
+      render();
+    });
+    line.append(arrow, domOpenTag(n));
+    if (n === state.inspectedElement) line.classList.add('selected');
+    line.addEventListener('click', () => { state.inspectedElement = n; render(); });
+    line.addEventListener('mouseenter', () => highlightElement(n));
+    line.addEventListener('mouseleave', () => highlightElement(null));
+
+    if (inlineText) {
+      const text = el('span', {className:'dom-text', title:'Double-click to edit'}, inlineText.data);
+      text.addEventListener('dblclick', (e) => { e.stopPropagation(); inlineEdit(text, inlineText.data, (v) => { inlineText.data = v; }); });
+      line.append(text, close);
+    } else if (!kids.length) {
+      line.append(close);
+    } else if (!open) {
+      line.append(el('span', {className:'dom-ellipsis'}, '…'), close);
+    } else {
+      kids.slice(0, DOM_MAX_CHILDREN).forEach(c => wrap.append(domTreeNode(c, depth + 1)));
+      if (kids.length > DOM_MAX_CHILDREN) wrap.append(el('div', {className:'dom-line dom-comment', style:`padding-left:${(depth + 1) * 14 + 20}px`}, `… ${kids.length - DOM_MAX_CHILDREN} more children`));
+      wrap.append(el('div', {className:'dom-line', style:`padding-left:${depth * 14 + 20}px`}, close));
+    }
+    return wrap;
+  }
+
+  function mountElements(body){
+    const list = el('div', {className:'dc-list dom-tree', role:'tree'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+
+    if (!domExpanded.has(document.documentElement)) { domExpanded.add(document.documentElement); domExpanded.add(document.body); }
+    const sel = state.inspectedElement;
+    if (sel && !sel.isConnected) state.inspectedElement = null;
+
+    list.append(el('div', {className:'dc-sticky dom-toolbar'},
+      el('button', {className:'dc-btn', title:'Pick an element on the page (Esc cancels)', onclick: () => picking ? stopPicking() : startPicking()}, picking ? 'Picking… (Esc)' : 'Pick element'),
+      el('span', {className:'net-count'}, state.inspectedElement ? cssPath(state.inspectedElement) : '')
+    ));
+    list.append(domTreeNode(document.documentElement, 0));
+
+    if (state.inspectedElement) detail.append(renderElementDetail(state.inspectedElement));
+    else detail.append(sectionKV('Details', {Hint:'Select a node or use Pick element', Tip:'$0 in the REPL is the selected element'}));
+
+    body.append(list, detail);
+  }
+
+  const renderElementDetail = (n) => {
+    const wrap = el('div');
+    const r = n.getBoundingClientRect();
+    wrap.append(sectionKV('Overview', {
+      Tag: n.tagName.toLowerCase(),
+      Selector: cssPath(n),
+      Size: `${Math.round(r.width)} × ${Math.round(r.height)}`,
+      Children: n.children.length,
+    }));
+
+    // attributes
+    const as = el('div', {className:'section'});
+    as.append(el('h3', {}, 'Attributes'));
+    const form = el('div', {className:'kv mock-form'});
+    const guard = (input) => {
+      input.addEventListener('focus', () => { domEditing = true; });
+      input.addEventListener('blur', () => { domEditing = false; });
+      return input;
+    };
+    [...n.attributes].forEach((a) => {
+      const name = guard(el('input', {className:'dc-input k', value: a.name}));
+      const value = guard(el('input', {className:'dc-input', value: a.value}));
+      const apply = () => {
+        try {
+          if (name.value !== a.name) n.removeAttribute(a.name);
+          if (name.value.trim()) n.setAttribute(name.value.trim(), value.value);
+        } catch (e) { pushConsole('warn', [`Invalid attribute: ${e.message}`]); }
+        render();
+      };
+      name.addEventListener('change', apply);
+      value.addEventListener('change', apply);
+      form.append(name, el('div', {className:'composer-header'}, value,
+        el('button', {className:'dc-btn', title:'Remove attribute', onclick: () => { n.removeAttribute(a.name); render(); }}, '×')));
+    });
+    const newName = guard(el('input', {className:'dc-input k', placeholder:'new attribute'}));
+    const newValue = guard(el('input', {className:'dc-input', placeholder:'value'}));
+    const add = () => {
+      if (!newName.value.trim()) return;
+      try { n.setAttribute(newName.value.trim(), newValue.value); } catch (e) { pushConsole('warn', [`Invalid attribute: ${e.message}`]); }
+      render();
+    };
+    newValue.addEventListener('keydown', (e) => { if (e.key === 'Enter') add(); });
+    form.append(newName, el('div', {className:'composer-header'}, newValue, el('button', {className:'dc-btn', onclick: add}, 'Add')));
+    as.append(form);
+    wrap.append(as);
+
+    // box model + computed styles
+    let cs = null;
+    try { cs = getComputedStyle(n); } catch {}
+    if (cs) {
+      wrap.append(boxModel(n, cs));
+      const ss = el('div', {className:'section'});
+      ss.append(el('h3', {}, 'Computed Styles'));
+      const filter = el('input', {className:'dc-input', id:'dc-style-filter', placeholder:'Filter properties…', value: styleFilter});
+      filter.addEventListener('input', () => { styleFilter = filter.value; render(); });
+      const kv = el('div', {className:'kv computed'});
+      const props = [];
+      for (let i = 0; i < cs.length; i++) props.push(cs[i]);
+      props.sort().filter(p => !styleFilter || p.includes(styleFilter.toLowerCase()) || cs.getPropertyValue(p).includes(styleFilter))
+        .forEach(p => kv.append(el('div', {className:'k'}, p), el('div', {}, cs.getPropertyValue(p))));
+      ss.append(el('div', {className:'ws-compose-bar'}, filter), kv);
+      wrap.append(ss);
+    }
+    return wrap;
+  };
+
+  const boxModel = (n, cs) => {
+    const px = (p) => parseFloat(cs.getPropertyValue(p)) || 0;
+    const sides = (prefix, suffix = '') => ['top','right','bottom','left'].map(side => px(`${prefix}-${side}${suffix}`));
+    const margin = sides('margin'), border = sides('border', '-width'), padding = sides('padding');
+    const r = n.getBoundingClientRect();
+    const w = r.width - border[1] - border[3] - padding[1] - padding[3];
+    const h = r.height - border[0] - border[2] - padding[0] - padding[2];
+    const fmt = (v) => v ? String(+v.toFixed(2)) : '–';
+    const layer = (cls, label, vals, inner) => el('div', {className:`box-${cls}`},
+      el('span', {className:'box-label'}, label),
+      el('span', {className:'box-top'}, fmt(vals[0])),
+      el('div', {className:'box-mid'}, el('span', {}, fmt(vals[3])), inner, el('span', {}, fmt(vals[1]))),
+      el('span', {className:'box-bottom'}, fmt(vals[2])));
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, 'Box Model'), el('div', {className:'box-model'},
+      layer('margin', 'margin', margin, layer('border', 'border', border, layer('padding', 'padding', padding,
+        el('div', {className:'box-content'}, `${fmt(Math.max(0, w))} × ${fmt(Math.max(0, h))}`))))));
+    return s;
+  };
+
+  // ---------- Network Tab ----------
+  // Changes to a record that should refresh its open detail pane.
+  const requestSignature = (req) => req && [req.status, req.state, req.ttfb, req.duration, req.responseSize, req.chunks, req.error, req.responseText?.length, req.truncated && JSON.stringify(req.truncated), !!req.timing, state.composer?.originalId].join('|');
+
+  function mountNetwork(body){
+    const list = el('div', {className:'dc-list', role:'list'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+
+    const head = el('div', {className:'dc-row net'},
+      el('strong', {className:'method'}, 'Method'),
+      el('strong', {className:'url'}, 'URL'),
+      el('strong', {className:'status'}, 'Status'),
+      sortHeader('size', 'Size'),
+      sortHeader('duration', 'Time')
+    );
+    const sticky = el('div', {className:'dc-sticky'});
+    list.append(sticky);
+
+    const netRow = (req) => {
+      const r = el('div', {className:`dc-row net${req.imported ? ' imported' : ''}${req.id === state.selectedId ? ' selected' : ''}`, role:'listitem', onclick: ()=>{ state.selectedId=req.id; render(); }});
+      r.append(
+        el('span', {className:'method'}, req.method,
+          req.mocked ? el('span', {className:'mock-badge', title:`Mocked: ${req.mocked}`}, 'MOCK') : '',
+          req.imported ? el('span', {className:'har-badge', title:`Imported from ${req.imported}`}, 'HAR') : ''),
+        el('div', {className:'url', title:req.url}, shortURL(req.url)),
+        statusCell(req),
+        el('span', {className:'dur'}, fmtBytes(req.responseSize)),
+        el('span', {className:'dur', title: req.ttfb != null ? `TTFB ${req.ttfb.toFixed(0)} ms` : ''},
+          req.duration != null ? `${req.duration.toFixed(0)} ms` : requestState(req) === 'receiving' ? `${req.ttfb?.toFixed(0) ?? '—'} ms…` : '— ms')
+      );
+      return r;
+    };
+    const rows = virtualList(list, netRow, req => req);
+
+    let shown = null; // signature of what the detail pane shows
+    const renderDetail = () => {
+      const selected = state.network.find(x=>x.id===state.selectedId);
+      shown = `${selected?.id}|${requestSignature(selected)}`;
+      if (selected && state.composer?.originalId === selected.id) patchChildren(detail, renderComposer(selected, state.composer));
+      else if (selected) patchChildren(detail, renderNetworkDetail(selected));
+      else patchChildren(detail, sectionKV('Details', {Hint:'Select a request'}));
+    };
+
+    const view = {
+      update(){
+        const filtered = filteredNetwork();
+        patchChildren(sticky, networkFilterBar(filtered.length), head);
+        rows.update(filtered);
+        const selected = state.network.find(x=>x.id===state.selectedId);
+        if (shown !== `${selected?.id}|${requestSignature(selected)}`) renderDetail();
+      },
+      paint: rows.paint,
+    };
+    view.update();
+    renderDetail();
+
+    body.append(list, detail);
+    return view;
+  }
+
+  // ---------- Network filters ----------
+  const NET_SORT_KEYS = {
+    time: r => r.startTime || 0,
+    duration: r => r.duration ?? -1,
+    size: r => r.responseSize ?? -1,
+  };
+
+  // pending → receiving (headers in, body still arriving) → complete | failed | aborted | timeout
+  const requestState = (req) => req.state || (req.error ? 'failed' : req.endTime || req.imported ? 'complete' : req.status != null ? 'receiving' : 'pending');
+
+  const statusClass = (req) => {
+    if (req.state === 'aborted' || req.state === 'timeout') return 'aborted';
+    if (req.error || (req.endTime && !req.status)) return 'failed';
+    if (req.status == null) return 'pending';
+    return `${Math.floor(req.status / 100)}xx`;
+  };
+
+  const requestHaystack = (req) => [
+    req.method, req.url, req.status,
+    JSON.stringify(req.requestHeaders || {}), JSON.stringify(req.responseHeaders || {}),
+    req.requestBody, req.responseText, req.error
+  ].join('\n').toLowerCase();
+
+  // What the Network tab currently shows, in display order; also what gets exported.
+  const filteredNetwork = () => {
+    const f = state.netFilter;
+    const q = f.text.trim().toLowerCase();
+    const key = NET_SORT_KEYS[f.sort] || NET_SORT_KEYS.time;
+    const sign = f.dir === 'asc' ? 1 : -1;
+    return state.network
+      .filter(req =>
+        (!f.types.length || f.types.includes(req.type)) &&
+        (!f.statuses.length || f.statuses.includes(statusClass(req))) &&
+        (!f.methods.length || f.methods.includes(req.method)) &&
+        (!f.slow || req.duration > f.slowMs) &&
+        (!q || requestHaystack(req).includes(q)))
+      .map((req, i) => [req, i])
+      .sort((a, b) => (key(a[0]) - key(b[0])) * sign || (a[1] - b[1]) * sign)
+      .map(([req]) => req);
+  };
+
+  const toggleIn = (arr, v) => {
+    const i = arr.indexOf(v);
+    if (i === -1) arr.push(v); else arr.splice(i, 1);
+  };
+
+  const facetPill = (label, active, onclick, title) => {
+    const b = el('button', {className:'dc-pill', title: title || '', onclick}, label);
+    b.setAttribute('aria-pressed', String(active));
+    return b;
+  };
+
+  const setSort = (key) => {
+    const f = state.netFilter;
+    if (f.sort === key) f.dir = f.dir === 'asc' ? 'desc' : 'asc';
+    else { f.sort = key; f.dir = 'desc'; }
+    render();
+  };
+
+  const sortLabel = (key, label) => state.netFilter.sort === key ? `${label} ${state.netFilter.dir === 'asc' ? '▲' : '▼'}` : label;
+
+  const sortHeader = (key, label) =>
+    el('strong', {className:'dur sortable', title:`Sort by ${label.toLowerCase()}`, onclick: () => setSort(key)}, sortLabel(key, label));
+
+  const networkFilterBar = (shown) => {
+    const f = state.netFilter;
+    const facet = (arr, v, label) => facetPill(label || v, arr.includes(v), () => { toggleIn(arr, v); render(); });
+    const text = el('input', {className:'dc-input', id:'dc-net-filter', placeholder:'Search URL, headers, bodies…', value: f.text});
+    text.addEventListener('input', () => { f.text = text.value; render(); });
+    const slowMs = el('input', {className:'dc-input slow-ms', id:'dc-net-slow', type:'number', min:0, step:100, value: f.slowMs, title:'Slow threshold (ms)'});
+    slowMs.addEventListener('change', () => { f.slowMs = Math.max(0, +slowMs.value || 0); render(); });
+    // active filters keep their pill after Clear or eviction, so they can still be turned off
+    const methods = [...new Set([...f.methods, ...state.network.map(r => r.method)])].sort();
+
+    return el('div', {className:'net-filter'},
+      el('div', {className:'net-filter-row'},
+        text,
+        el('span', {className:'net-count'}, `${shown}/${state.network.length}`),
+        capControl('network')
+      ),
+      el('div', {className:'net-filter-row'},
+        facet(f.types, 'fetch'), facet(f.types, 'xhr', 'XHR'),
+        el('span', {className:'net-sep'}),
+        ...['2xx','3xx','4xx','5xx','failed','aborted'].map(c => facet(f.statuses, c)),
+        el('span', {className:'net-sep'}),
+        ...methods.map(m => facet(f.methods, m)),
+        el('span', {className:'net-sep'}),
+        facetPill('slow', f.slow, () => { f.slow = !f.slow; render(); }, `Slower than ${f.slowMs} ms`), slowMs,
+        el('span', {className:'net-sep'}),
+        ...[['time','Started'], ['duration','Duration'], ['size','Size']].map(([key, label]) =>
+          facetPill(sortLabel(key, label), f.sort === key, () => setSort(key), 'Sort'))
+      ),
+      el('div', {className:'net-filter-row'},
+        el('span', {className:'net-count', title:'Request and response bodies kept in memory'}, `Bodies ${fmtBytes(bodyBytes)} of`),
+        limitInput('bodyBudget', 'Memory budget for stored bodies (MB); oldest bodies are dropped past it', 1024 * 1024),
+        el('span', {className:'net-count'}, 'MB, truncated past'),
+        limitInput('bodyBytes', 'Bodies larger than this (KB) are truncated; a hash of the full body is kept', 1024),
+        el('span', {className:'net-count'}, 'KB'),
+        state.dropped.bodies ? el('span', {className:'cap-dropped', title:'Bodies of the oldest requests were dropped to stay under the budget'}, `${state.dropped.bodies} dropped`) : ''
+      )
+    );
+  };
+
+  const statusCell = (req) => {
+    const st = requestState(req);
+    if (st === 'aborted' || st === 'timeout') return el('span', {className:'status', style:'color:var(--dc-yellow);', title: req.status ? `${req.status}, then ${st}` : st}, st);
+    return el('span', {className:'status', style:`color:${statusColor(req.status)};`}, req.status ?? '—');
+  };
+
+  const statusColor = (s) => s == null ? 'var(--dc-muted)' :
+    s >= 500 ? 'var(--dc-red)' : s >= 400 ? 'var(--dc-yellow)' : 'var(--dc-green)';
+
+  const renderNetworkDetail = (req) => {
+    const wrap = el('div');
+    wrap.append(
+      sectionKV('Overview', {
+        Method: req.method,
+        URL: req.url,
+        Type: req.type,
+        ...(req.mocked ? {Mocked: req.mocked} : {}),
+        ...(req.imported ? {Imported: req.imported} : {}),
+        ...(req.resentFrom ? {'Resent from': describeRequest(state.network.find(r => r.id === req.resentFrom)) || req.resentFrom} : {}),
+        Status: req.status ?? '—',
+        State: requestState(req),
+        TTFB: (req.ttfb?.toFixed?.(0) ?? '—') + ' ms',
+        Duration: (req.duration?.toFixed?.(0) ?? '—') + ' ms',
+        ...(req.chunks > 1 ? {Chunks: req.chunks} : {}),
+        'Req Size': fmtBytes(req.requestSize),
+        'Res Size': fmtBytes(req.responseSize),
+        Started: new Date(req.startTime).toLocaleString(),
+        Finished: req.endTime ? new Date(req.endTime).toLocaleString() : '—'
+      }),
+      sectionKV('Request Headers', req.requestHeaders || {'(none)':''}),
+      req.requestBody || req.truncated?.requestBody ? bodySection('Request Body', req, 'requestBody', tryFormat(req.requestBody)) : el('div'),
+      sectionKV('Response Headers', req.responseHeaders || {'(none)':''}),
+      req.error ? codeSection(req.state === 'aborted' ? 'Aborted' : req.state === 'timeout' ? 'Timed out' : 'Error', String(req.error)) : el('div'),
+      req.responseText || req.truncated?.responseText ? bodySection(requestState(req) === 'receiving' ? 'Response (streaming…)' : 'Response', req, 'responseText', previewContent(req)) : el('div'),
+      (()=>{
+        const s = el('div', {className:'section'});
+        s.append(el('h3', {}, 'Actions'));
+        const bar = el('div', {className:'kv'});
+        const curl = buildCurl(req);
+        const copyBtn = el('button', {className:'dc-btn', onclick: () => { navigator.clipboard.writeText(curl); pushConsole('info', ['Copied cURL to clipboard']); }}, 'Copy as cURL');
+        const repeatBtn = el('button', {className:'dc-btn', onclick: () => repeatRequest(req)}, 'Repeat Request');
+        const editBtn = el('button', {className:'dc-btn', onclick: () => openComposer(req)}, 'Edit & Resend');
+        bar.append(el('div', {className:'k'}, 'cURL'), el('div', {}, copyBtn), el('div', {className:'k'}, 'Replay'), el('div',{}, repeatBtn, ' ', editBtn));
+        s.append(bar);
+        return s;
+      })()
+    );
+    return wrap;
+  };
+
+  // A stored body, noting when it was truncated or dropped to stay within the capture limits.
+  const bodySection = (title, req, field, content) => {
+    const cut = req.truncated?.[field];
+    if (!cut) return codeSection(title, content);
+    const s = cut.kept ? codeSection(title, content) : el('div', {className:'section'}, el('h3', {}, title));
+    s.append(el('div', {className:'body-note', title:'Hash of the full body as received'},
+      `${cut.kept ? `Truncated to ${fmtBytes(cut.kept)} of ${fmtBytes(cut.size)}` : `${fmtBytes(cut.size)} dropped to stay within the body budget`} · ${cut.hash || 'hashing…'}`));
+    return s;
+  };
+
+  const tryFormat = (body) => {
+    if (typeof body === 'string') {
+      // maybe JSON
+      try { return JSON.stringify(JSON.parse(body), null, 2); } catch { return body; }
+    }
+    return body;
+  };
+
+  const previewContent = (req) => {
+    const ct = (req.responseHeaders?.['content-type'] || '').toLowerCase();
+    if (ct.includes('application/json')) {
+      try { return syntaxHighlight(JSON.parse(req.responseText)); } catch { return syntaxHighlight(req.responseText); }
+    }
+    if (ct.includes('text/')) return req.responseText;
+    return `(binary ${fmtBytes(req.responseSize)})`;
+  };
+
+  const buildCurl = (req) => {
+    const h = req.requestHeaders || {};
+    const headerLines = Object.entries(h).map(([k,v]) => `-H ${shQuote(k+': '+v)}`).join(' ');
+    const method = req.method && req.method.toUpperCase() !== 'GET' ? `-X ${req.method.toUpperCase()}` : '';
+    const data = req.requestBody != null && req.requestBody !== '' ? `--data-raw ${shQuote(typeof req.requestBody === 'string' ? req.requestBody : JSON.stringify(req.requestBody))}` : '';
+    return `curl ${method} ${headerLines} ${data} ${shQuote(req.url)}`.replace(/\s+/g,' ').trim();
+  };
+
+  const shQuote = (s) => `'${String(s).replace(/'/g, `'\\''`)}'`;
+
+  // ---------- HAR ----------
+  const HAR_STATUS_TEXT = {200:'OK', 201:'Created', 204:'No Content', 301:'Moved Permanently', 302:'Found', 304:'Not Modified',
+    400:'Bad Request', 401:'Unauthorized', 403:'Forbidden', 404:'Not Found', 500:'Internal Server Error', 502:'Bad Gateway', 503:'Service Unavailable'};
+
+  const harHeaders = (obj) => Object.entries(obj || {}).map(([name, value]) => ({name, value: String(value)}));
+  const harHeaderObj = (arr) => (arr || []).reduce((acc, h) => { acc[String(h.name).toLowerCase()] = h.value; return acc; }, {});
+  const textSize = (text) => typeof text === 'string' ? new TextEncoder().encode(text).length : 0;
+
+  const toHAREntry = (req) => {
+    let queryString = [];
+    try { queryString = [...new URL(req.url, location.href).searchParams].map(([name, value]) => ({name, value})); } catch {}
+    const reqMime = req.requestHeaders?.['content-type'] || 'text/plain';
+    const resMime = req.responseHeaders?.['content-type'] || 'x-unknown';
+    const time = req.duration ?? 0;
+    const entry = {
+      startedDateTime: new Date(req.startTime || Date.now()).toISOString(),
+      time,
+      request: {
+        method: req.method,
+        url: absURL(req.url),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(req.requestHeaders),
+        queryString,
+        headersSize: -1,
+        bodySize: req.requestBody ? textSize(req.requestBody) : 0,
+      },
+      response: {
+        status: req.status ?? 0,
+        statusText: HAR_STATUS_TEXT[req.status] || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harHeaders(req.responseHeaders),
+        content: {
+          size: req.responseSize ?? textSize(req.responseText),
+          mimeType: resMime,
+          ...(req.responseText != null ? {text: req.responseText} : {}),
+        },
+        redirectURL: req.responseHeaders?.location || '',
+        headersSize: -1,
+        bodySize: req.responseSize ?? -1,
+      },
+      cache: {},
+      // only start, first byte and total duration are known; without a first byte the whole span is wait
+      timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: req.ttfb ?? time, receive: req.ttfb != null ? Math.max(0, time - req.ttfb) : 0 },
+      _type: req.type,
+    };
+    if (req.requestBody) entry.request.postData = { mimeType: reqMime, text: req.requestBody };
+    if (req.error) entry._error = req.error;
+    if (req.state) entry._state = req.state;
+    if (req.mocked) entry._mocked = req.mocked;
+    return entry;
+  };
+
+  const toHAR = (records) => ({
+    log: {
+      version: '1.2',
+      creator: { name: 'Mini Dev Console', version: '1.0' },
+      pages: [],
+      entries: records.map(toHAREntry),
+    }
+  });
+
+  const fromHAREntry = (entry, source) => {
+    const start = Date.parse(entry.startedDateTime);
+    const duration = entry.time >= 0 ? entry.time : null;
+    const res = entry.response || {};
+    const status = res.status || null;
+    return {
+      id: genId(),
+      type: entry._type || entry._resourceType || 'har',
+      method: (entry.request?.method || 'GET').toUpperCase(),
+      url: entry.request?.url || '',
+      startTime: isNaN(start) ? Date.now() : start,
+      endTime: isNaN(start) || duration == null ? null : start + duration,
+      duration,
+      requestHeaders: harHeaderObj(entry.request?.headers),
+      requestBody: entry.request?.postData?.text || '',
+      requestSize: entry.request?.bodySize > 0 ? entry.request.bodySize : null,
+      status,
+      responseHeaders: harHeaderObj(res.headers),
+      responseText: res.content?.encoding === 'base64' ? `[base64 ${fmtBytes(res.content.size)}]` : res.content?.text,
+      responseSize: res.content?.size >= 0 ? res.content.size : null,
+      error: entry._error || (status ? undefined : (res._error || 'No response')),
+      ...(entry._state ? {state: entry._state} : {}),
+      imported: source,
+    };
+  };
+
+  const exportHAR = () => downloadJSON('devconsole', 'har', toHAR(filteredNetwork().filter(r => !r.imported)));
+
+  const importHAR = () => pickFile('.har,application/json', (text, file) => {
+    try {
+      const entries = JSON.parse(text)?.log?.entries;
+      if (!Array.isArray(entries)) throw new Error('missing log.entries');
+      const records = entries.map(e => fromHAREntry(e, file.name));
+      records.forEach(rec => {
+        storeBody(rec, 'requestBody', rec.requestBody);
+        storeBody(rec, 'responseText', rec.responseText);
+        pushCapped('network', rec);
+      });
+      pushConsole('info', [`Imported ${records.length} requests from ${file.name}`]);
+    } catch (e) {
+      pushConsole('error', [`Could not import HAR ${file.name}: ${e.message}`]);
+    }
+    render();
+  });
+
+  // ---------- Request Composer ----------
+  // Marks a request issued by the console itself; the fetch/XHR wrappers link the
+  // resulting record to its original and hand it back through `meta.record`.
+  const REQ_META = Symbol('devconsole.request');
+
+  const describeRequest = (req) => req && `${req.method} ${shortURL(req.url)} @ ${new Date(req.startTime).toLocaleTimeString()}`;
+
+  // Sends through the patched fetch/XHR so the result is captured like any page request.
+  function sendRequest({type, method, url, headers, body}, meta){
+    method = (method || 'GET').toUpperCase();
+    const payload = method === 'GET' || method === 'HEAD' || body === '' ? undefined :
+      (typeof body === 'string' ? body : JSON.stringify(body));
+    if (type !== 'xhr') {
+      return fetch(url, {method, headers, body: payload, [REQ_META]: meta}).catch(() => {}).then(() => meta.record);
+    }
+    return new Promise((resolve) => {
+      const xhr = new XMLHttpRequest();
+      xhr[REQ_META] = meta;
+      xhr.addEventListener('loadend', () => resolve(meta.record));
+      try {
+        xhr.open(method, url);
+        Object.entries(headers || {}).forEach(([k,v]) => { try { xhr.setRequestHeader(k, v); } catch {} });
+        xhr.send(payload);
+      } catch (e) {
+        if (meta.record) meta.record.error = e.message;
+        resolve(meta.record);
+      }
+    });
+  }
+
+  async function repeatRequest(req){
+    const rec = await sendRequest({type: req.type, method: req.method, url: req.url, headers: req.requestHeaders, body: req.requestBody}, {resentFrom: req.id});
+    if (rec?.error) console.error('Replay failed', req.method, req.url, rec.error);
+    else console.info('Replayed request', req.method, req.url, rec?.status);
+  }
+
+  const openComposer = (req) => {
+    state.composer = {
+      originalId: req.id,
+      type: req.type === 'xhr' ? 'xhr' : 'fetch',
+      method: req.method || 'GET',
+      url: req.url,
+      headers: Object.entries(req.requestHeaders || {}).map(([name, value]) => ({name, value})),
+      body: req.requestBody || '',
+      resultId: null,
+      sending: false,
+      showDiff: false,
+    };
+    render();
+  };
+
+  const renderComposer = (orig, c) => {
+    const wrap = el('div');
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, 'Edit & Resend'));
+    const form = el('div', {className:'kv mock-form'});
+    const bind = (input, obj, key) => {
+      input.value = obj[key];
+      input.addEventListener('input', () => { obj[key] = input.value; });
+      input.addEventListener('change', () => { obj[key] = input.value; });
+      return input;
+    };
+    const method = bind(el('select', {className:'dc-input'}), c, 'method');
+    ['GET','POST','PUT','PATCH','DELETE','HEAD','OPTIONS'].concat(c.method).forEach(m => {
+      if (![...method.options].some(o => o.value === m)) method.append(el('option', {value:m}, m));
+    });
+    method.value = c.method;
+    const type = bind(el('select', {className:'dc-input'}), c, 'type');
+    type.append(el('option', {value:'fetch'}, 'fetch'), el('option', {value:'xhr'}, 'XHR'));
+    type.value = c.type;
+    form.append(
+      el('div', {className:'k'}, 'Via'), type,
+      el('div', {className:'k'}, 'Method'), method,
+      el('div', {className:'k'}, 'URL'), bind(el('input', {className:'dc-input'}), c, 'url')
+    );
+    c.headers.forEach((h, i) => {
+      const row = el('div', {className:'composer-header'},
+        bind(el('input', {className:'dc-input', placeholder:'value'}), h, 'value'),
+        el('button', {className:'dc-btn', title:'Remove header', onclick: () => { c.headers.splice(i, 1); render(); }}, '×')
+      );
+      form.append(bind(el('input', {className:'dc-input k', placeholder:'header'}), h, 'name'), row);
+    });
+    form.append(
+      el('div', {className:'k'}, ''),
+      el('div', {}, el('button', {className:'dc-btn', onclick: () => { c.headers.push({name:'', value:''}); render(); }}, 'Add header')),
+      el('div', {className:'k'}, 'Body'),
+      bind(el('textarea', {className:'dc-input', rows:6, placeholder:'Request body (ignored for GET/HEAD)'}), c, 'body')
+    );
+    s.append(form);
+    s.append(el('div', {className:'ws-compose-bar'},
+      el('button', {className:'dc-btn', disabled: c.sending, onclick: async () => {
+        const headers = {};
+        c.headers.filter(h => h.name.trim()).forEach(h => { headers[h.name.trim().toLowerCase()] = h.value; });
+        c.sending = true;
+        render();
+        const rec = await sendRequest({type: c.type, method: c.method, url: c.url, headers, body: c.body}, {resentFrom: orig.id});
+        c.sending = false;
+        c.resultId = rec?.id || null;
+        render();
+      }}, c.sending ? 'Sending…' : 'Send'),
+      el('button', {className:'dc-btn', onclick: () => openComposer(orig)}, 'Reset'),
+      el('button', {className:'dc-btn', onclick: () => { state.composer = null; render(); }}, 'Close')
+    ));
+    wrap.append(s);
+
+    const result = state.network.find(r => r.id === c.resultId);
+    if (result) {
+      wrap.append(
+        sectionKV('Response', {
+          Status: result.status ?? '—',
+          Duration: fmtDuration(result.duration),
+          Size: fmtBytes(result.responseSize),
+          Record: describeRequest(result),
+          ...(result.error ? {Error: result.error} : {})
+        }),
+        sectionKV('Response Headers', result.responseHeaders || {'(none)':''}),
+        result.responseText ? codeSection('Response Body', previewContent(result)) : el('div'),
+        el('div', {className:'ws-compose-bar'},
+          el('button', {className:'dc-btn', onclick: () => { c.showDiff = !c.showDiff; render(); }}, c.showDiff ? 'Hide diff' : 'Diff against original'),
+          el('button', {className:'dc-btn', onclick: () => { state.composer = null; state.selectedId = result.id; render(); }}, 'Open record')
+        ),
+        c.showDiff ? renderResponseDiff(orig, result) : el('div')
+      );
+    }
+    return wrap;
+  };
+
+  // Line diff via LCS; bodies past a few thousand lines are compared only for equality.
+  const diffLines = (a, b) => {
+    const A = a.split('\n'), B = b.split('\n');
+    if (A.length * B.length > 4_000_000) return a === b ? A.map(l => [' ', l]) : [['-', `(${A.length} lines)`], ['+', `(${B.length} lines)`]];
+    const lcs = Array.from({length: A.length + 1}, () => new Uint32Array(B.length + 1));
+    for (let i = A.length - 1; i >= 0; i--)
+      for (let j = B.length - 1; j >= 0; j--)
+        lcs[i][j] = A[i] === B[j] ? lcs[i+1][j+1] + 1 : Math.max(lcs[i+1][j], lcs[i][j+1]);
+    const out = [];
+    let i = 0, j = 0;
+    while (i < A.length && j < B.length) {
+      if (A[i] === B[j]) { out.push([' ', A[i]]); i++; j++; }
+      else if (lcs[i+1][j] >= lcs[i][j+1]) out.push(['-', A[i++]]);
+      else out.push(['+', B[j++]]);
+    }
+    while (i < A.length) out.push(['-', A[i++]]);
+    while (j < B.length) out.push(['+', B[j++]]);
+    return out;
+  };
+
+  const renderResponseDiff = (a, b) => {
+    const wrap = el('div');
+    wrap.append(sectionKV('Diff: Status', {Original: a.status ?? a.error ?? '—', Resent: b.status ?? b.error ?? '—', Changed: a.status === b.status ? 'no' : 'yes'}));
+
+    const hs = el('div', {className:'section'});
+    hs.append(el('h3', {}, 'Diff: Response Headers'));
+    const ha = a.responseHeaders || {}, hb = b.responseHeaders || {};
+    const keys = [...new Set([...Object.keys(ha), ...Object.keys(hb)])].sort();
+    const pre = el('pre', {className:'code diff'});
+    keys.forEach(k => {
+      if (ha[k] === hb[k]) pre.append(el('div', {}, `  ${k}: ${ha[k]}`));
+      else {
+        if (k in ha) pre.append(el('div', {className:'del'}, `- ${k}: ${ha[k]}`));
+        if (k in hb) pre.append(el('div', {className:'add'}, `+ ${k}: ${hb[k]}`));
+      }
+    });
+    hs.append(pre);
+
+    const bs = el('div', {className:'section'});
+    bs.append(el('h3', {}, 'Diff: Response Body'));
+    const body = el('pre', {className:'code diff'});
+    diffLines(tryFormat(a.responseText || ''), tryFormat(b.responseText || '')).forEach(([op, line]) => {
+      body.append(el('div', {className: op === '+' ? 'add' : op === '-' ? 'del' : ''}, `${op} ${line}`));
+    });
+    bs.append(body);
+
+    wrap.append(hs, bs);
+    return wrap;
+  };
+
+  // ---------- Waterfall Tab ----------
+  const WF_PHASES = [
+    ['queue', 'Queueing'],
+    ['dns', 'DNS'],
+    ['connect', 'Connect'],
+    ['tls', 'TLS'],
+    ['ttfb', 'TTFB'],
+    ['download', 'Download'],
+  ];
+
+  // Network records on the perf timeline: matched ones carry their resource timing,
+  // the rest (mocked, opaque, not yet finished) get a single bar from start/duration.
+  const waterfallRows = () => {
+    const origin = performance.timeOrigin || performance.timing?.navigationStart || 0;
+    const rows = state.network.filter(r => !r.imported).map(rec => {
+      const start = rec.timing?.start ?? (rec.startTime - origin);
+      const end = rec.timing?.end ?? (start + (rec.duration ?? (performance.now() - start)));
+      return { id: rec.id, name: rec.url, initiator: rec.type, start, end, timing: rec.timing, size: rec.timing?.transferSize ?? rec.responseSize, status: rec.status, rec };
+    });
+    state.resources.forEach(t => rows.push({ id: t.id, name: t.name, initiator: t.initiatorType, start: t.start, end: t.end, timing: t, size: t.transferSize }));
+    return rows.filter(r => r.start >= state.waterfallFrom).sort((a, b) => a.start - b.start);
+  };
+
+  const phaseTitle = (row) => {
+    const lines = [`${row.initiator}  ${row.name}`, `Start ${row.start.toFixed(1)} ms, total ${(row.end - row.start).toFixed(1)} ms`];
+    if (row.timing?.detailed) {
+      WF_PHASES.forEach(([k, label]) => {
+        const [a, b] = row.timing[k] || [];
+        if (b > a) lines.push(`${label}: ${(b - a).toFixed(1)} ms`);
+      });
+    } else if (row.timing) lines.push('Detailed phases hidden (cross-origin without Timing-Allow-Origin)');
+    return lines.join('\n');
+  };
+
+  function mountWaterfall(body){
+    const list = el('div', {className:'dc-list waterfall', role:'list'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+
+    const rows = waterfallRows().slice(-1000);
+    const t0 = rows.length ? rows.reduce((m, r) => Math.min(m, r.start), Infinity) : 0;
+    const t1 = rows.length ? rows.reduce((m, r) => Math.max(m, r.end), -Infinity) : 1;
+    const span = Math.max(1, t1 - t0);
+    const pct = (t) => `${((t - t0) / span * 100).toFixed(3)}%`;
+    const width = (a, b) => `${(Math.max(0, b - a) / span * 100).toFixed(3)}%`;
+
+    const axis = el('div', {className:'wf-bar wf-axis'});
+    for (let i = 0; i <= 4; i++) axis.append(el('span', {style:`left:${i * 25}%`}, fmtDuration(span * i / 4)));
+    const head = el('div', {className:'dc-row wf'},
+      el('strong', {className:'method'}, 'Type'),
+      el('strong', {className:'url'}, 'Name'),
+      axis
+    );
+    const legend = el('div', {className:'wf-legend'}, ...WF_PHASES.map(([k, label]) => el('span', {}, el('i', {className:`wf-${k}`}), label)), el('span', {}, el('i', {className:'wf-total'}), 'Total only'), capControl('resources'));
+    list.append(el('div', {className:'dc-sticky'}, legend, head));
+
+    rows.forEach(row => {
+      const bar = el('div', {className:'wf-bar', title: phaseTitle(row)});
+      if (row.timing?.detailed) {
+        WF_PHASES.forEach(([k]) => {
+          const [a, b] = row.timing[k] || [];
+          if (b > a) bar.append(el('span', {className:`wf-seg wf-${k}`, style:`left:${pct(a)};width:${width(a, b)}`}));
+        });
+      } else {
+        bar.append(el('span', {className:'wf-seg wf-total', style:`left:${pct(row.start)};width:${width(row.start, row.end)}`}));
+      }
+      const r = el('div', {className:'dc-row wf', role:'listitem', onclick: ()=>{ state.selectedId=row.id; render(); }});
+      r.append(
+        el('span', {className:'method'}, row.initiator),
+        el('div', {className:'url', title:row.name}, shortURL(row.name)),
+        bar
+      );
+      list.append(r);
+    });
+
+    const selected = rows.find(r => r.id === state.selectedId);
+    if (selected) detail.append(renderWaterfallDetail(selected));
+    else detail.append(sectionKV('Details', {Hint:'Select a resource', Resources: rows.length, Span: fmtDuration(span)}));
+
+    body.append(list, detail);
+  }
+
+  const renderWaterfallDetail = (row) => {
+    const t = row.timing;
+    const phases = {};
+    if (t?.detailed) {
+      WF_PHASES.forEach(([k, label]) => {
+        const [a, b] = t[k] || [];
+        phases[label] = b > a ? `${(b - a).toFixed(1)} ms (${a.toFixed(1)} → ${b.toFixed(1)})` : '—';
+      });
+    }
+    const wrap = el('div');
+    wrap.append(
+      sectionKV('Overview', {
+        Name: row.name,
+        Initiator: row.initiator,
+        ...(row.status != null ? {Status: row.status} : {}),
+        Start: `${row.start.toFixed(1)} ms`,
+        Duration: `${(row.end - row.start).toFixed(1)} ms`,
+        'Transfer Size': fmtBytes(t?.transferSize ?? row.size),
+        ...(t ? {'Encoded Body': fmtBytes(t.encodedBodySize), 'Decoded Body': fmtBytes(t.decodedBodySize), Protocol: t.nextHopProtocol || '—'} : {}),
+      }),
+      t?.detailed ? sectionKV('Phases', phases) :
+        sectionKV('Phases', {Note: t ? 'Cross-origin resource without Timing-Allow-Origin: only the total is known.' : 'No resource timing entry matched this request.'}),
+      row.rec ? (() => {
+        const s = el('div', {className:'section'});
+        s.append(el('h3', {}, 'Actions'), el('div', {className:'kv'}, el('div', {className:'k'}, 'Request'),
+          el('div', {}, el('button', {className:'dc-btn', onclick: () => { state.activeTab = 'network'; state.selectedId = row.id; render(); }}, 'Open in Network'))));
+        return s;
+      })() : el('div')
+    );
+    return wrap;
+  };
+
+  // ---------- WebSockets Tab ----------
+  const WS_STATES = ['connecting', 'open', 'closing', 'closed'];
+  const wsDrafts = {}; // compose text per connection, survives re-renders
+
+  // Folds the flat state.wsEvents log into one record per connection.
+  const wsConnections = () => {
+    const byId = new Map();
+    for (const ev of state.wsEvents) {
+      let c = byId.get(ev.id);
+      if (!c) byId.set(ev.id, c = { id: ev.id, url: ev.url, created: ev.time, opened: null, closed: null, code: null, reason: '', error: null, frames: [], sent: 0, received: 0 });
+      if (ev.event === 'open') c.opened = ev.time;
+      else if (ev.event === 'close') { c.closed = ev.time; c.code = ev.code; c.reason = ev.reason; }
+      else if (ev.event === 'error') c.error = ev.data;
+      else if (ev.event === 'send' || ev.event === 'message') {
+        c.frames.push(ev);
+        if (ev.event === 'send') c.sent++; else c.received++;
+      }
+    }
+    for (const c of byId.values()) {
+      const ws = wsSockets.get(c.id);
+      c.state = ws ? WS_STATES[ws.readyState] : (c.closed ? 'closed' : c.opened ? 'open' : 'connecting');
+      c.lifetime = (c.closed || Date.now()) - (c.opened || c.created);
+    }
+    return [...byId.values()];
+  };
+
+  const wsStateColor = (s) => s === 'open' ? 'var(--dc-green)' : s === 'connecting' ? 'var(--dc-yellow)' : 'var(--dc-muted)';
+
+  function mountWebSockets(body){
+    const list = el('div', {className:'dc-list', role:'list'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+
+    const head = el('div', {className:'dc-row dc-sticky'},
+      el('strong', {className:'method'}, 'State'),
+      el('strong', {className:'url'}, 'URL'),
+      el('strong', {className:'status'}, 'Frames'),
+      el('strong', {className:'dur'}, 'Life')
+    );
+    const bar = el('div', {className:'net-filter'});
+    const rows = el('div');
+    list.append(bar, head, rows);
+
+    const connRow = (c) => {
+      const r = el('div', {className:'dc-row', role:'listitem', onclick: ()=>{ state.selectedId=c.id; render(); }});
+      r.append(
+        el('span', {className:'method', style:`color:${wsStateColor(c.state)};`}, c.state),
+        el('div', {className:'url', title:c.url}, c.url),
+        el('span', {className:'status', title:`${c.sent} sent / ${c.received} received`}, `↑${c.sent} ↓${c.received}`),
+        el('span', {className:'dur'}, fmtDuration(c.lifetime))
+      );
+      return r;
+    };
+
+    // Frames patch the overview and timeline; the composer is rebuilt only when the socket opens or closes.
+    const overview = el('div'), composer = el('div'), timeline = el('div');
+    let shown, live, lastFrame;
+    const renderDetail = (c) => {
+      if (!c) {
+        if (shown !== null) patchChildren(detail, sectionKV('Details', {Hint:'Select a connection'}));
+        shown = null;
+        return;
+      }
+      if (shown !== c.id) {
+        shown = c.id;
+        live = lastFrame = null;
+        patchChildren(detail, overview, composer, timeline);
+      }
+      patchChildren(overview, wsOverview(c));
+      const isLive = wsSockets.get(c.id)?.readyState === 1;
+      if (live !== isLive) { live = isLive; patchChildren(composer, wsComposer(c)); }
+      if (lastFrame !== c.frames.at(-1)) { lastFrame = c.frames.at(-1); patchChildren(timeline, wsTimeline(c)); }
+    };
+
+    const view = {
+      update(){
+        const conns = wsConnections();
+        patchChildren(bar, el('div', {className:'net-filter-row'},
+          el('span', {className:'net-count'}, `${conns.length} connections, ${state.wsEvents.length} events`),
+          el('div', {className:'dc-spacer'}),
+          capControl('wsEvents')));
+        patchChildren(rows, ...conns.slice(-1000).reverse().map(connRow));
+        renderDetail(conns.find(c => c.id === state.selectedId));
+      },
+    };
+    view.update();
+
+    body.append(list, detail);
+    return view;
+  }
+
+  const wsOverview = (c) => sectionKV('Overview', {
+    URL: c.url,
+    State: c.state,
+    Created: new Date(c.created).toLocaleString(),
+    Opened: c.opened ? new Date(c.opened).toLocaleString() : '—',
+    Closed: c.closed ? `${new Date(c.closed).toLocaleString()} (code ${c.code}${c.reason ? ', ' + c.reason : ''})` : '—',
+    Lifetime: fmtDuration(c.lifetime),
+    Sent: `${c.sent} frames, ${fmtBytes(c.frames.filter(f=>f.event==='send').reduce((n,f)=>n+(f.size||0),0))}`,
+    Received: `${c.received} frames, ${fmtBytes(c.frames.filter(f=>f.event==='message').reduce((n,f)=>n+(f.size||0),0))}`,
+    ...(c.error ? {Error: c.error} : {})
+  });
+
+  const wsTimeline = (c) => {
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, `Frames (${c.frames.length})`));
+    if (!c.frames.length) s.append(el('div', {className:'kv'}, el('div', {className:'k'}, 'No frames yet')));
+    const t0 = c.opened || c.created;
+    c.frames.slice(-500).reverse().forEach(f => {
+      const sent = f.event === 'send';
+      const frame = el('div', {className:`ws-frame ${sent ? 'sent' : 'received'}`});
+      frame.append(el('div', {className:'ws-frame-head'},
+        el('span', {className:'ws-dir'}, sent ? '↑ sent' : '↓ received'),
+        el('span', {}, `+${fmtDuration(f.time - t0)}`),
+        el('span', {}, fmtBytes(f.size)),
+        el('span', {className:'dc-spacer'}),
+        el('span', {}, new Date(f.time).toLocaleTimeString())
+      ));
+      const pre = el('pre', {className:'code'});
+      if (f.binary) pre.textContent = `[binary ${fmtBytes(f.size)}]`;
+      else {
+        try { pre.innerHTML = syntaxHighlight(JSON.parse(f.data)); } catch { pre.textContent = f.data; }
+      }
+      frame.append(pre);
+      s.append(frame);
+    });
+    return s;
+  };
+
+  const wsComposer = (c) => {
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, 'Send Frame'));
+    const ws = wsSockets.get(c.id);
+    const live = ws?.readyState === 1;
+    const input = el('textarea', {className:'dc-input ws-compose', rows:3, disabled:!live, placeholder: live ? 'Frame payload (text or JSON)…' : 'Connection is not open', value: wsDrafts[c.id] || ''});
+    input.addEventListener('input', () => { wsDrafts[c.id] = input.value; });
+    const send = el('button', {className:'dc-btn', disabled:!live, onclick: () => {
+      if (!input.value) return;
+      try { ws.send(input.value); delete wsDrafts[c.id]; }
+      catch (e) { pushConsole('error', ['WebSocket send failed', e]); }
+      render();
+    }}, 'Send');
+    const close = el('button', {className:'dc-btn', disabled:!live, onclick: () => { ws.close(1000, 'Closed from DevConsole'); }}, 'Close');
+    s.append(el('div', {className:'ws-compose-bar'}, input, send, close));
+    return s;
+  };
+
+  // ---------- Messages Tab ----------
+  const MESSAGE_KINDS = { sse: 'SSE', broadcast: 'Broadcast', worker: 'Worker', window: 'postMessage' };
+  const messageChannel = (m) => `${MESSAGE_KINDS[m.kind]} ${m.channel}`;
+
+  // newest first, like the other lists
+  const filteredMessages = () => {
+    const f = state.messageFilter;
+    const q = f.text.trim().toLowerCase();
+    return state.messages.filter(m =>
+      (!f.channels.length || f.channels.includes(messageChannel(m))) &&
+      (!q || `${m.channel}\n${m.origin}\n${m.event}\n${m.data ?? ''}`.toLowerCase().includes(q))).reverse();
+  };
+
+  const messageFilterBar = (shown) => {
+    const f = state.messageFilter;
+    const text = el('input', {className:'dc-input', id:'dc-msg-filter', placeholder:'Search channel, origin, payload…', value: f.text});
+    text.addEventListener('input', () => { f.text = text.value; render(); });
+    const channels = [...new Set([...f.channels, ...state.messages.map(messageChannel)])].sort();
+    return el('div', {className:'net-filter'},
+      el('div', {className:'net-filter-row'},
+        text,
+        el('span', {className:'net-count'}, `${shown}/${state.messages.length}`),
+        capControl('messages')
+      ),
+      el('div', {className:'net-filter-row'},
+        facetPill('All', !f.channels.length, () => { f.channels.length = 0; render(); }),
+        ...channels.map(c => facetPill(c, f.channels.includes(c), () => { toggleIn(f.channels, c); render(); }))
+      )
+    );
+  };
+
+  function mountMessages(body){
+    const list = el('div', {className:'dc-list', role:'list'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+
+    const head = el('div', {className:'dc-row msg'},
+      el('strong', {}, 'Kind'),
+      el('strong', {}, 'Channel'),
+      el('strong', {}, 'Payload'),
+      el('strong', {}, 'Time')
+    );
+    const sticky = el('div', {className:'dc-sticky'});
+    list.append(sticky);
+
+    const msgRow = (m) => {
+      const r = el('div', {className:`dc-row msg${m.id === state.selectedId ? ' selected' : ''}`, role:'listitem', onclick: ()=>{ state.selectedId=m.id; render(); }});
+      r.append(
+        el('span', {className:`level-pill msg-${m.kind}`}, MESSAGE_KINDS[m.kind]),
+        el('span', {className:'url', title:`${m.channel}\n${m.origin}`}, m.channel),
+        el('div', {className:'url'},
+          el('span', {className:`msg-dir ${m.dir || ''}`}, m.dir === 'out' ? '↑ ' : m.dir === 'in' ? '↓ ' : '• '),
+          m.event === 'message' ? m.data ?? '' : `${m.event}${m.data ? ' ' + m.data : ''}`),
+        el('span', {className:'dur'}, new Date(m.time).toLocaleTimeString())
+      );
+      return r;
+    };
+    const rows = virtualList(list, msgRow, m => m);
+
+    let shown;
+    const renderDetail = () => {
+      shown = state.messages.find(m => m.id === state.selectedId);
+      patchChildren(detail, shown ? renderMessageDetail(shown) : sectionKV('Details', {Hint:'Select a message', Frames:'Posts into cross-origin frames are not captured here'}));
+    };
+
+    const view = {
+      update(){
+        const items = filteredMessages();
+        patchChildren(sticky, messageFilterBar(items.length), head);
+        rows.update(items);
+        if (shown !== state.messages.find(m => m.id === state.selectedId)) renderDetail();
+      },
+      paint: rows.paint,
+    };
+    view.update();
+    renderDetail();
+
+    body.append(list, detail);
+    return view;
+  }
+
+  const renderMessageDetail = (m) => {
+    const wrap = el('div');
+    const payload = m.binary || m.data == null ? escapeHTML(String(m.data ?? '(none)')) : (() => {
+      try { return syntaxHighlight(JSON.parse(m.data)); } catch { return escapeHTML(m.data); }
+    })();
+    const section = codeSection(m.structured ? 'Payload (structured clone, as JSON)' : 'Payload', payload);
+    if (m.truncated) {
+      section.append(el('div', {className:'body-note'}, `Truncated: serialization stopped at ${fmtBytes(state.limits.bodyBytes)}`));
+    } else if (m.data != null && !m.binary && m.size > textEncoder.encode(m.data).length) {
+      section.append(el('div', {className:'body-note'}, `Truncated to ${fmtBytes(state.limits.bodyBytes)} of ${fmtBytes(m.size)}`));
+    }
+    wrap.append(
+      sectionKV('Overview', {
+        Kind: MESSAGE_KINDS[m.kind],
+        Channel: m.channel,
+        Origin: m.origin || '—',
+        Direction: m.dir === 'out' ? 'sent' : m.dir === 'in' ? 'received' : '—',
+        Event: m.event,
+        ...(m.lastEventId ? {'Last event ID': m.lastEventId} : {}),
+        Size: fmtBytes(m.size),
+        Time: new Date(m.time).toLocaleString(),
+      }),
+      section
+    );
+    return wrap;
+  };
+
+  // ---------- Mocks Tab ----------
+  const MOCK_ACTIONS = {
+    respond: 'Canned response',
+    status: 'Force status',
+    fail: 'Network failure',
+    delay: 'Latency only',
+  };
+  const mockDraft = {}; // unsaved editor fields, survives re-renders
+
+  function mountMocks(body){
+    const list = el('div', {className:'dc-list', role:'list'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+
+    const head = el('div', {className:'dc-row dc-sticky'},
+      el('strong', {className:'method'}, 'Method'),
+      el('strong', {className:'url'}, 'URL pattern'),
+      el('strong', {className:'status'}, 'Action'),
+      el('button', {className:'dc-btn', onclick: ()=>{ state.selectedId='new'; render(); }}, 'New')
+    );
+    list.append(head);
+
+    state.mocks.forEach(rule => {
+      const r = el('div', {className:'dc-row', role:'listitem', style: rule.enabled ? '' : 'opacity:.5', onclick: ()=>{ state.selectedId=rule.id; render(); }});
+      const toggle = el('input', {type:'checkbox', checked: rule.enabled, title:'Enabled'});
+      toggle.addEventListener('click', (e) => { e.stopPropagation(); rule.enabled = toggle.checked; saveMocks(); render(); });
+      r.append(
+        el('span', {className:'method'}, rule.method || '*'),
+        el('div', {className:'url', title:rule.url}, rule.url || '*'),
+        el('span', {className:'status', title:`${rule.hits||0} hits`}, MOCK_ACTIONS[rule.action] ? rule.action : '?'),
+        el('span', {className:'dur'}, toggle, ` ${rule.hits||0}`)
+      );
+      list.append(r);
+    });
+
+    const selected = state.selectedId === 'new' ? {id:'new'} : state.mocks.find(x=>x.id===state.selectedId);
+    if (selected) detail.append(mockEditor(selected));
+    else detail.append(sectionKV('Details', {Hint:'Select a rule or click New', Rules: state.mocks.length, Storage:'sessionStorage (survives reloads)'}));
+
+    body.append(list, detail);
+  }
+
+  const mockEditor = (rule) => {
+    const draft = mockDraft[rule.id] || (mockDraft[rule.id] = {
+      url: rule.url || '', method: rule.method || '*', header: rule.header || '', action: rule.action || 'respond',
+      status: rule.status ?? 200, delay: rule.delay ?? 0, contentType: rule.contentType || 'application/json', body: rule.body || ''
+    });
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, rule.id === 'new' ? 'New Rule' : 'Edit Rule'));
+    const form = el('div', {className:'kv mock-form'});
+    const field = (label, key, input) => {
+      input.value = draft[key];
+      input.addEventListener('input', () => { draft[key] = input.value; });
+      input.addEventListener('change', () => { draft[key] = input.value; });
+      form.append(el('div', {className:'k'}, label), input);
+    };
+    const select = (options) => {
+      const sel = el('select', {className:'dc-input'});
+      Object.entries(options).forEach(([v,l]) => sel.append(el('option', {value:v}, l)));
+      return sel;
+    };
+    field('URL pattern', 'url', el('input', {className:'dc-input', placeholder:'substring, glob with * or /regex/'}));
+    field('Method', 'method', select({'*':'Any', GET:'GET', POST:'POST', PUT:'PUT', PATCH:'PATCH', DELETE:'DELETE', HEAD:'HEAD', OPTIONS:'OPTIONS'}));
+    field('Header', 'header', el('input', {className:'dc-input', placeholder:'name or name: value (optional)'}));
+    field('Action', 'action', select(MOCK_ACTIONS));
+    field('Status', 'status', el('input', {className:'dc-input', type:'number', min:200, max:599}));
+    field('Latency (ms)', 'delay', el('input', {className:'dc-input', type:'number', min:0}));
+    field('Content-Type', 'contentType', el('input', {className:'dc-input'}));
+    field('Body', 'body', el('textarea', {className:'dc-input', rows:6, placeholder:'Response body for canned responses'}));
+    s.append(form);
+
+    const bar = el('div', {className:'ws-compose-bar'});
+    bar.append(
+      el('button', {className:'dc-btn', onclick: () => {
+        const status = parseInt(draft.status, 10);
+        if (draft.action !== 'fail' && draft.action !== 'delay' && !(status >= 200 && status <= 599)) {
+          pushConsole('warn', ['Mock rule status must be between 200 and 599']);
+          return;
+        }
+        if (/^\/.+\/[a-z]*$/.test(draft.url)) {
+          try { mockPattern(draft.url); } catch (e) { pushConsole('warn', ['Invalid mock URL regex', e.message]); return; }
+        }
+        const saved = {...draft, status, delay: Math.max(0, parseInt(draft.delay, 10) || 0)};
+        if (rule.id === 'new') {
+          const created = {id: genId(), enabled: true, hits: 0, ...saved};
+          state.mocks.push(created);
+          state.selectedId = created.id;
+        } else Object.assign(rule, saved);
+        delete mockDraft[rule.id];
+        saveMocks();
+        render();
+      }}, 'Save'),
+      rule.id === 'new' ? '' : el('button', {className:'dc-btn', onclick: () => {
+        state.mocks.splice(state.mocks.indexOf(rule), 1);
+        delete mockDraft[rule.id];
+        state.selectedId = null;
+        saveMocks();
+        render();
+      }}, 'Delete'),
+      el('button', {className:'dc-btn', onclick: () => { delete mockDraft[rule.id]; state.selectedId = null; render(); }}, 'Cancel')
+    );
+    s.append(bar);
+    return s;
+  };
+
+  // ---------- Errors Tab ----------
+  const errorGroupOpen = new Set(); // expanded fingerprints
+  const ERROR_KIND_LEVEL = { deprecation: 'warn', intervention: 'warn' };
+
+  // Folds occurrences into groups by fingerprint, most recently seen first.
+  function errorGroups(){
+    const groups = new Map();
+    for (const e of state.errors) {
+      let g = groups.get(e.fingerprint);
+      if (!g) groups.set(e.fingerprint, g = { fingerprint: e.fingerprint, kind: e.kind, message: e.message, items: [], first: e.time });
+      g.items.push(e);
+      g.last = e.time;
+    }
+    return [...groups.values()].sort((a, b) => b.last - a.last);
+  }
+
+  // Occurrence frequency across the group's lifetime, as bars.
+  function sparkline(times, buckets = 20){
+    const from = times[0], span = Math.max(1, Date.now() - from);
+    const counts = new Array(buckets).fill(0);
+    for (const t of times) counts[Math.min(buckets - 1, Math.floor((t - from) / span * buckets))]++;
+    const max = Math.max(...counts);
+    const s = el('span', {className:'spark', title:`${times.length} over ${fmtDuration(span)}`});
+    counts.forEach(c => s.append(el('i', {style:`height:${c ? Math.max(12, c / max * 100) : 0}%`})));
+    return s;
+  }
+
+  // The failing element may be gone by now; only offer the jump when the selector still resolves.
+  function errorElementLink(selector){
+    let node = null;
+    try { node = document.querySelector(selector); } catch {}
+    if (!node || isOwnNode(node)) return el('div');
+    return el('div', {className:'ws-compose-bar'},
+      el('button', {className:'dc-btn', onclick: () => { selectElement(node); state.activeTab = 'elements'; render(); }}, 'Reveal in Elements'));
+  }
+
+  function breadcrumbSection(crumbs){
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, `Breadcrumbs (${crumbs.length})`));
+    if (!crumbs.length) s.append(el('div', {className:'stack-gen', style:'padding:.5rem .75rem'}, `Nothing logged or requested in the ${BREADCRUMB_MS / 1000} s before.`));
+    crumbs.forEach(c => {
+      const live = c.type === 'network' ? state.network.some(r => r.id === c.id) : state.consoleLogs.some(r => r.id === c.id);
+      const row = el('div', {className:`crumb${live ? ' live' : ''}`, title: live ? `Show in ${c.type === 'network' ? 'Network' : 'Console'}` : ''},
+        el('span', {className:'dur'}, new Date(c.time).toLocaleTimeString()),
+        el('span', {className:`level-pill ${c.type === 'network' ? 'level-info' : 'level-' + c.level}`}, c.type === 'network' ? c.method : c.level),
+        el('span', {className:'url'}, c.label),
+        el('span', {className:'dur'}, c.status ?? '')
+      );
+      if (live) row.addEventListener('click', () => { state.activeTab = c.type; state.selectedId = c.id; render(); });
+      s.append(row);
+    });
+    return s;
+  }
 
-  // ---------- Errors Tab ----------
   function mountErrors(body){
     const list = el('div', {className:'dc-list', role:'list'});
     const detail = el('div', {className:'dc-detail', role:'region'});
 
-    const head = el('div', {className:'dc-row console', style:'position:sticky;top:0;background:#10121a;border-bottom:1px solid #1b1f2d;z-index:1'},
-      el('strong', {}, 'Type'),
-      el('strong', {}, 'Message'),
-      el('strong', {}, 'Time'),
-    );
-    list.append(head);
+    const head = el('div', {className:'dc-row errgroup'},
+      el('strong', {}, 'Type'),
+      el('strong', {}, 'Message'),
+      el('strong', {}, 'Count'),
+      el('strong', {}, 'Frequency'),
+      el('strong', {}, 'Last seen'),
+    );
+    const bar = el('div', {className:'net-filter'});
+    const rows = el('div');
+    list.append(el('div', {className:'dc-sticky'}, bar, head), rows);
+
+    const groupRows = (g) => {
+      const open = errorGroupOpen.has(g.fingerprint);
+      const r = el('div', {className:'dc-row errgroup', role:'listitem', title:`First seen ${new Date(g.first).toLocaleString()}`, onclick: () => {
+        if (open) errorGroupOpen.delete(g.fingerprint); else errorGroupOpen.add(g.fingerprint);
+        state.selectedId = g.items[g.items.length - 1].id;
+        render();
+      }});
+      r.append(
+        el('span', {className:`level-pill level-${ERROR_KIND_LEVEL[g.kind] || 'error'}`}, g.kind.toUpperCase()),
+        el('div', {className:'url'}, el('span', {className:'dom-arrow'}, open ? '▾' : '▸'), g.message),
+        el('span', {className:'err-count'}, String(g.items.length)),
+        sparkline(g.items.map(e => e.time)),
+        el('span', {className:'dur'}, new Date(g.last).toLocaleTimeString()),
+      );
+      if (!open) return [r];
+      return [r, ...g.items.slice(-200).reverse().map((e, i) => {
+        const o = el('div', {className:`dc-row console occurrence${e.id === state.selectedId ? ' selected' : ''}`, role:'listitem', onclick: () => { state.selectedId = e.id; render(); }});
+        o.append(
+          el('span', {className:'dur'}, `#${g.items.length - i}`),
+          el('div', {className:'url'}, `${e.breadcrumbs?.length || 0} breadcrumbs`),
+          el('span', {className:'dur'}, new Date(e.time).toLocaleTimeString()),
+        );
+        return o;
+      })];
+    };
+
+    // the detail is only rebuilt when the selection or its group's count changes
+    let shown, shownCount;
+    const view = {
+      update(){
+        const groups = errorGroups();
+        const kinds = state.errorKinds;
+        const visible = kinds.length ? groups.filter(g => kinds.includes(g.kind)) : groups;
+        patchChildren(bar, el('div', {className:'net-filter-row'},
+          facetPill('All', !kinds.length, () => { kinds.length = 0; render(); }),
+          ...[...new Set(state.errors.map(e => e.kind))].sort().map(k =>
+            facetPill(k, kinds.includes(k), () => { toggleIn(kinds, k); render(); })),
+          el('div', {className:'dc-spacer'}),
+          el('span', {className:'net-count'}, `${visible.length} / ${groups.length} groups`),
+          capControl('errors')));
+        patchChildren(rows, ...visible.slice(0, 500).flatMap(groupRows));
+
+        const selected = state.errors.find(x=>x.id===state.selectedId);
+        const group = selected && groups.find(g => g.fingerprint === selected.fingerprint);
+        if (shown === selected && shownCount === group?.items.length) return;
+        shown = selected;
+        shownCount = group?.items.length;
+        patchChildren(detail, selected ? errorDetail(selected, group) : sectionKV('Details', {Hint:'Select an error'}));
+      },
+    };
+    view.update();
+
+    body.append(list, detail);
+    return view;
+  }
+
+  const errorDetail = (selected, group) => {
+    const wrap = el('div');
+    wrap.append(
+      sectionKV('Overview', {Type: selected.kind, Time: new Date(selected.time).toLocaleString(), Source: selected.source || 'window',
+        ...(selected.url ? {URL: selected.url} : {}), ...(selected.selector ? {Element: selected.selector} : {})}),
+      selected.selector ? errorElementLink(selected.selector) : el('div'),
+      sectionKV('Group', {Occurrences: group.items.length, 'First seen': new Date(group.first).toLocaleString(), 'Last seen': new Date(group.last).toLocaleString(), Fingerprint: selected.fingerprint}),
+      selected.stack ? stackSection('Stack', selected.stack, selected.id) : el('div'),
+      breadcrumbSection(selected.breadcrumbs || []),
+      selected.extra ? codeSection('Extra', selected.extra) : el('div')
+    );
+    return wrap;
+  };
+
+  // ---------- Storage Tab ----------
+  const STORAGE_AREAS = {
+    web: 'Local / Session / Cookies',
+    idb: 'IndexedDB',
+    cache: 'Cache Storage',
+    sw: 'Service Workers',
+  };
+  const IDB_PAGE = 50;
+  // what the Storage tab is looking at, plus the unsaved record editor
+  const storageView = { area: 'web', search: '', web: null, webDraft: null, cookie: null, cookieDraft: null, cookieStatus: null, db: null, store: null, index: '', page: 0, record: null, draft: null, cache: null, entry: null };
+
+  // Async areas load on first render and stay cached until refreshed or written to.
+  const storageCache = new Map(); // key -> {pending} | {value} | {error}
+  const loadStorage = (key, fn) => {
+    if (!storageCache.has(key)) {
+      const entry = { pending: true };
+      storageCache.set(key, entry);
+      Promise.resolve().then(fn)
+        .then(v => { entry.value = v; }, e => { entry.error = e?.message || String(e); })
+        .finally(() => { entry.pending = false; scheduleRender(true); });
+    }
+    return storageCache.get(key);
+  };
+  const invalidateStorage = (prefix) => {
+    for (const k of [...storageCache.keys()]) if (k.startsWith(prefix)) storageCache.delete(k);
+    render();
+  };
+  const asyncBlock = (entry, fn) => entry.pending ? el('div', {className:'storage-note'}, 'Loading…')
+    : entry.error ? el('div', {className:'storage-note error'}, entry.error) : fn(entry.value);
+
+  function mountStorage(body){
+    const nav = el('div', {className:'dc-list storage-nav', role:'list'});
+    const detail = el('div', {className:'dc-detail', role:'region'});
+    const v = storageView;
+    const view = { update(){} }; // the async areas re-render when their loads finish
+    const navRow = (label, active, onclick, depth = 0) =>
+      el('div', {className:`storage-nav-item${active ? ' active' : ''}`, role:'listitem', style:`padding-left:${0.75 + depth}rem`, onclick}, label);
+
+    Object.entries(STORAGE_AREAS).forEach(([area, label]) => {
+      nav.append(navRow(label, v.area === area && !(area === 'idb' && v.db) && !(area === 'cache' && v.cache), () => {
+        Object.assign(v, {area, db: null, store: null, cache: null, entry: null, record: null, draft: null});
+        render();
+      }));
+      if (area === 'idb' && v.area === 'idb') {
+        const dbs = loadStorage('idb:', idbDatabases);
+        (dbs.value || []).forEach(d => nav.append(navRow(`${d.name} (v${d.version})`, v.db === d.name, () => {
+          Object.assign(v, {db: d.name, store: null, index: '', page: 0, record: null, draft: null});
+          render();
+        }, 1)));
+      }
+      if (area === 'cache' && v.area === 'cache') {
+        const names = loadStorage('cache:', () => caches.keys());
+        (names.value || []).forEach(n => nav.append(navRow(n, v.cache === n, () => {
+          Object.assign(v, {cache: n, entry: null});
+          render();
+        }, 1)));
+      }
+    });
+    nav.append(quotaMeter());
+
+    switch (v.area) {
+      case 'web': {
+        const search = el('input', {className:'dc-input', id:'dc-storage-search', placeholder:'Search keys and values…', value: v.search});
+        search.addEventListener('input', () => { v.search = search.value; render(); });
+        const wrap = el('div', {className:'storage-wrap'});
+        const log = el('div');
+        detail.append(el('div', {className:'ws-compose-bar'}, search), wrap);
+        if (v.web) detail.append(webValueEditor(v.web.area, v.web.key));
+        if (v.cookie) detail.append(cookieEditor(v.cookie));
+        detail.append(log);
+        // page writes refresh the lists and the change log; the search box and open editors stay as they are
+        view.update = () => {
+          patchChildren(wrap, storagePane('LocalStorage', localStorage), storagePane('SessionStorage', sessionStorage), cookiePane());
+          patchChildren(log, storageChangeLog());
+        };
+        view.update();
+        break;
+      }
+      case 'idb': detail.append(v.db ? idbDatabaseView(v.db) : idbOverview()); break;
+      case 'cache': detail.append(v.cache ? cacheView(v.cache) : cacheOverview()); break;
+      case 'sw': detail.append(serviceWorkerView()); break;
+    }
+    body.append(nav, detail);
+    return view;
+  }
+
+  const refreshBar = (prefix, ...extra) => el('div', {className:'ws-compose-bar'},
+    el('button', {className:'dc-btn', onclick: () => invalidateStorage(prefix)}, 'Refresh'), ...extra);
+
+  function quotaMeter(){
+    const box = el('div', {className:'storage-quota'});
+    if (!navigator.storage?.estimate) { box.append('Quota estimate unavailable'); return box; }
+    const est = loadStorage('quota', async () => ({ ...(await navigator.storage.estimate()), persisted: await navigator.storage.persisted?.() }));
+    box.append(asyncBlock(est, ({usage, quota, usageDetails, persisted}) => {
+      const pct = quota ? usage / quota * 100 : 0;
+      const meter = el('div', {className:'quota-bar'}, el('span', {style:`width:${Math.min(100, pct)}%`}));
+      const detailText = usageDetails ? Object.entries(usageDetails).map(([k, n]) => `${k}: ${fmtBytes(n)}`).join('\n') : '';
+      return el('div', {title: detailText},
+        el('div', {}, `${fmtBytes(usage)} of ${fmtBytes(quota)} (${pct.toFixed(pct < 1 ? 2 : 1)}%)`),
+        meter,
+        el('div', {className:'storage-note'}, persisted ? 'Persistent storage' : 'Best-effort storage',
+          ' · ', el('a', {href:'#', onclick: (e) => { e.preventDefault(); invalidateStorage('quota'); }}, 'refresh')));
+    }));
+    return box;
+  }
 
-    state.errors.slice(-1000).reverse().forEach(e => {
-      const r = el('div', {className:'dc-row console', role:'listitem', onclick: ()=>{ state.selectedId=e.id; render(); }});
-      r.append(
-        el('span', {className:'level-pill level-error'}, e.kind.toUpperCase()),
-        el('div', {className:'url'}, e.message),
-        el('span', {style:'text-align:right;color:var(--dc-muted); font-family:var(--mono);'}, new Date(e.time).toLocaleTimeString()),
-      );
-      list.append(r);
+  // ----- IndexedDB -----
+  const idbRequest = (req) => new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+  // Opens at the current version so nothing is upgraded (or created), and steps aside if the page upgrades.
+  const idbOpen = (name) => new Promise((resolve, reject) => {
+    const req = indexedDB.open(name);
+    req.onupgradeneeded = () => req.transaction.abort();
+    req.onsuccess = () => { const db = req.result; db.onversionchange = () => db.close(); resolve(db); };
+    req.onerror = () => reject(new Error(`Cannot open database "${name}"${req.error?.name === 'AbortError' ? ': it does not exist' : ''}`));
+  });
+
+  const idbWith = async (name, fn) => {
+    const db = await idbOpen(name);
+    try { return await fn(db); } finally { db.close(); }
+  };
+
+  const idbDatabases = async () => {
+    if (!indexedDB.databases) throw new Error('indexedDB.databases() is not supported in this browser; open a database by name.');
+    return (await indexedDB.databases()).sort((a, b) => a.name.localeCompare(b.name));
+  };
+
+  const idbSchema = (name) => idbWith(name, async (db) => {
+    const names = [...db.objectStoreNames];
+    if (!names.length) return { version: db.version, stores: [] };
+    const tx = db.transaction(names, 'readonly');
+    const stores = names.map(n => {
+      const st = tx.objectStore(n);
+      return {
+        name: n, keyPath: st.keyPath, autoIncrement: st.autoIncrement, count: idbRequest(st.count()),
+        indexes: [...st.indexNames].map(i => { const ix = st.index(i); return { name: i, keyPath: ix.keyPath, unique: ix.unique, multiEntry: ix.multiEntry }; }),
+      };
     });
+    for (const st of stores) st.count = await st.count;
+    return { version: db.version, stores };
+  });
 
-    const selected = state.errors.find(x=>x.id===state.selectedId);
-    if (selected) {
-      const wrap = el('div');
-      wrap.append(
-        sectionKV('Overview', {Type: selected.kind, Time: new Date(selected.time).toLocaleString(), Source: selected.source || 'window'}),
-        selected.stack ? codeSection('Stack', selected.stack) : el('div'),
-        selected.extra ? codeSection('Extra', selected.extra) : el('div')
-      );
-      detail.append(wrap);
-    } else {
-      detail.append(sectionKV('Details', {Hint:'Select an error'}));
+  const idbPage = (name, storeName, indexName, page) => idbWith(name, (db) => new Promise((resolve, reject) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const req = (indexName ? store.index(indexName) : store).openCursor();
+    const rows = [];
+    let skipped = !page;
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cur = req.result;
+      if (!cur) return resolve({ rows, more: false });
+      if (!skipped) { skipped = true; cur.advance(page * IDB_PAGE); return; }
+      if (rows.length === IDB_PAGE) return resolve({ rows, more: true });
+      rows.push({ key: cur.key, primaryKey: cur.primaryKey, value: cur.value });
+      cur.continue();
+    };
+  }));
+
+  const idbWrite = (name, storeName, fn) => idbWith(name, (db) => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  }));
+
+  // Dates, Blobs, Maps etc. would not survive a JSON round trip, so those records are read-only here.
+  const jsonSafe = (v) => {
+    if (v === null || typeof v === 'string' || typeof v === 'boolean') return true;
+    if (typeof v === 'number') return Number.isFinite(v);
+    if (Array.isArray(v)) return v.every(jsonSafe);
+    if (Object.prototype.toString.call(v) !== '[object Object]') return false;
+    const proto = Object.getPrototypeOf(v);
+    return (!proto || !Object.getPrototypeOf(proto)) && Object.values(v).every(jsonSafe);
+  };
+
+  const keyPathText = (kp) => kp == null ? '(out-of-line)' : Array.isArray(kp) ? `[${kp.join(', ')}]` : kp;
+
+  function idbOverview(){
+    const wrap = el('div');
+    const v = storageView;
+    const nameIn = el('input', {className:'dc-input', placeholder:'Database name'});
+    const open = () => { if (nameIn.value.trim()) { Object.assign(v, {db: nameIn.value.trim(), store: null, index: '', page: 0}); render(); } };
+    nameIn.addEventListener('keydown', (e) => { if (e.key === 'Enter') open(); });
+    wrap.append(refreshBar('idb:', nameIn, el('button', {className:'dc-btn', onclick: open}, 'Open')));
+    if (typeof indexedDB === 'undefined') { wrap.append(el('div', {className:'storage-note'}, 'IndexedDB is not available.')); return wrap; }
+    wrap.append(asyncBlock(loadStorage('idb:', idbDatabases), (dbs) =>
+      sectionKV(`Databases (${dbs.length})`, Object.fromEntries(dbs.map(d => [d.name, `version ${d.version}`])))));
+    return wrap;
+  }
+
+  function idbDatabaseView(name){
+    const v = storageView;
+    const wrap = el('div');
+    wrap.append(refreshBar(`idb:${name}`,
+      el('button', {className:'dc-btn', onclick: () => {
+        if (!confirm(`Delete database "${name}"?`)) return;
+        const req = indexedDB.deleteDatabase(name);
+        req.onblocked = () => pushConsole('warn', [`Deleting ${name} is blocked by open connections`]);
+        idbRequest(req).then(() => {
+          pushConsole('warn', [`Deleted IndexedDB database ${name}`]);
+          v.db = null;
+          invalidateStorage('idb:');
+        }, (e) => pushConsole('error', ['IndexedDB delete failed', e]));
+      }}, 'Delete database')));
+    wrap.append(asyncBlock(loadStorage(`idb:${name}`, () => idbSchema(name)), (schema) => {
+      const out = el('div');
+      const pills = el('div', {className:'net-filter-row storage-pills'}, el('span', {className:'net-count'}, `v${schema.version} · stores`));
+      schema.stores.forEach(st => pills.append(facetPill(`${st.name} (${st.count})`, v.store === st.name, () => {
+        Object.assign(v, {store: st.name, index: '', page: 0, record: null, draft: null});
+        render();
+      })));
+      out.append(pills);
+      if (!schema.stores.length) out.append(el('div', {className:'storage-note'}, 'No object stores.'));
+      const store = schema.stores.find(st => st.name === v.store);
+      if (store) out.append(idbStoreView(name, store));
+      return out;
+    }));
+    return wrap;
+  }
+
+  function idbStoreView(dbName, store){
+    const v = storageView;
+    const wrap = el('div');
+    wrap.append(sectionKV('Object Store', {'Key path': keyPathText(store.keyPath), 'Auto increment': store.autoIncrement, Records: store.count,
+      Indexes: store.indexes.map(i => `${i.name} (${keyPathText(i.keyPath)}${i.unique ? ', unique' : ''}${i.multiEntry ? ', multiEntry' : ''})`).join('; ') || '—'}));
+
+    const bar = el('div', {className:'net-filter-row storage-pills'}, el('span', {className:'net-count'}, 'Browse by'),
+      facetPill('primary key', !v.index, () => { Object.assign(v, {index: '', page: 0, record: null, draft: null}); render(); }),
+      ...store.indexes.map(i => facetPill(i.name, v.index === i.name, () => { Object.assign(v, {index: i.name, page: 0, record: null, draft: null}); render(); })),
+      el('div', {className:'dc-spacer'}),
+      el('button', {className:'dc-btn', onclick: () => {
+        if (!confirm(`Clear all records in "${store.name}"?`)) return;
+        idbWrite(dbName, store.name, st => st.clear())
+          .then(() => { v.record = null; invalidateStorage(`idb:${dbName}`); }, (e) => pushConsole('error', ['IndexedDB clear failed', e]));
+      }}, 'Clear store'));
+    wrap.append(bar);
+
+    const pageKey = `idb:${dbName}\n${store.name}\n${v.index}\n${v.page}`;
+    wrap.append(asyncBlock(loadStorage(pageKey, () => idbPage(dbName, store.name, v.index, v.page)), ({rows, more}) => {
+      const out = el('div');
+      const table = el('table', {className:'console-table idb-table'});
+      table.append(el('tr', {}, el('th', {}, '#'), ...(v.index ? [el('th', {}, 'Index key')] : []), el('th', {}, 'Primary key'), el('th', {}, 'Value')));
+      rows.forEach((r, i) => {
+        const tr = el('tr', {className: v.record === i ? 'selected' : '', onclick: () => { v.record = i; v.draft = null; render(); }},
+          el('td', {}, String(v.page * IDB_PAGE + i)),
+          ...(v.index ? [el('td', {}, previewValue(r.key, 1))] : []),
+          el('td', {}, previewValue(r.primaryKey, 1)),
+          el('td', {}, previewValue(r.value, 1)));
+        table.append(tr);
+      });
+      out.append(el('div', {className:'console-table-wrap'}, table));
+      out.append(el('div', {className:'ws-compose-bar'},
+        el('button', {className:'dc-btn', disabled: !v.page, onclick: () => { v.page--; v.record = null; render(); }}, '‹ Prev'),
+        el('span', {className:'net-count'}, rows.length ? `${v.page * IDB_PAGE + 1}–${v.page * IDB_PAGE + rows.length} of ${store.count}` : 'No records'),
+        el('button', {className:'dc-btn', disabled: !more, onclick: () => { v.page++; v.record = null; render(); }}, 'Next ›')));
+      const rec = rows[v.record];
+      if (rec) out.append(idbRecordEditor(dbName, store, rec));
+      return out;
+    }));
+    return wrap;
+  }
+
+  function idbRecordEditor(dbName, store, rec){
+    const v = storageView;
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, `Record ${previewValue(rec.primaryKey, 1)}`));
+    const editable = jsonSafe(rec.value);
+    const done = (msg) => { pushConsole('info', [msg]); v.record = null; v.draft = null; invalidateStorage(`idb:${dbName}`); };
+    const del = el('button', {className:'dc-btn', onclick: () => {
+      idbWrite(dbName, store.name, st => st.delete(rec.primaryKey))
+        .then(() => done(`Deleted record from ${dbName}/${store.name}`), (e) => pushConsole('error', ['IndexedDB delete failed', e]));
+    }}, 'Delete');
+    if (!editable) {
+      s.append(inspectNode(rec.value, {path: `idb/${dbName}/${store.name}`, label: 'value'}),
+        el('div', {className:'storage-note'}, 'This value contains non-JSON types and can only be deleted here.'),
+        el('div', {className:'ws-compose-bar'}, del));
+      return s;
     }
+    if (v.draft == null) v.draft = JSON.stringify(rec.value, null, 2);
+    const input = el('textarea', {className:'dc-input', id:'dc-idb-value', rows: 10, value: v.draft});
+    input.addEventListener('input', () => { v.draft = input.value; });
+    const save = el('button', {className:'dc-btn', onclick: () => {
+      let value;
+      try { value = JSON.parse(v.draft); } catch (e) { pushConsole('warn', ['Record is not valid JSON', e.message]); return; }
+      idbWrite(dbName, store.name, st => store.keyPath == null ? st.put(value, rec.primaryKey) : st.put(value))
+        .then(() => done(`Saved record in ${dbName}/${store.name}`), (e) => pushConsole('error', ['IndexedDB save failed', e]));
+    }}, 'Save');
+    s.append(el('div', {className:'ws-compose-bar'}, input), el('div', {className:'ws-compose-bar'}, save, del,
+      el('button', {className:'dc-btn', onclick: () => { v.record = null; v.draft = null; render(); }}, 'Cancel')));
+    return s;
+  }
 
-    body.append(list, detail);
+  // ----- Cache Storage -----
+  const cacheEntries = async (name) => {
+    const cache = await caches.open(name);
+    const requests = await cache.keys();
+    return Promise.all(requests.slice(0, 500).map(async (request) => {
+      const response = await cache.match(request);
+      const size = response ? (await response.clone().blob()).size : null;
+      const headers = {};
+      response?.headers.forEach((val, k) => { headers[k] = val; });
+      return { request, response, url: request.url, method: request.method, status: response?.status, type: headers['content-type'] || '', size, headers };
+    }));
+  };
+
+  function cacheOverview(){
+    const wrap = el('div');
+    wrap.append(refreshBar('cache:'));
+    if (typeof caches === 'undefined') { wrap.append(el('div', {className:'storage-note'}, 'Cache Storage is not available (it requires a secure context).')); return wrap; }
+    wrap.append(asyncBlock(loadStorage('cache:', () => caches.keys()), (names) =>
+      names.length ? sectionKV(`Caches (${names.length})`, Object.fromEntries(names.map(n => [n, 'select in the sidebar']))) : el('div', {className:'storage-note'}, 'No caches.')));
+    return wrap;
   }
 
-  // ---------- Storage Tab ----------
-  function mountStorage(body){
-    const wrap = el('div', {className:'storage-wrap'});
-    wrap.append(storagePane('LocalStorage', localStorage), storagePane('SessionStorage', sessionStorage), cookiePane());
-    body.append(wrap);
+  function cacheView(name){
+    const v = storageView;
+    const wrap = el('div');
+    wrap.append(refreshBar(`cache:${name}`, el('button', {className:'dc-btn', onclick: () => {
+      if (!confirm(`Delete cache "${name}"?`)) return;
+      caches.delete(name).then(() => { pushConsole('warn', [`Deleted cache ${name}`]); v.cache = null; invalidateStorage('cache:'); });
+    }}, 'Delete cache')));
+    wrap.append(asyncBlock(loadStorage(`cache:${name}`, () => cacheEntries(name)), (entries) => {
+      const out = el('div');
+      const table = el('table', {className:'console-table idb-table'});
+      table.append(el('tr', {}, el('th', {}, 'Method'), el('th', {}, 'URL'), el('th', {}, 'Status'), el('th', {}, 'Type'), el('th', {}, 'Size'), el('th', {}, '')));
+      entries.forEach(e => table.append(el('tr', {className: v.entry === e.url ? 'selected' : '', onclick: () => { v.entry = e.url; render(); }},
+        el('td', {}, e.method), el('td', {title: e.url}, shortURL(e.url)), el('td', {}, String(e.status ?? '—')), el('td', {}, e.type), el('td', {}, fmtBytes(e.size)),
+        el('td', {}, el('button', {className:'dc-btn', onclick: (ev) => {
+          ev.stopPropagation();
+          caches.open(name).then(c => c.delete(e.request)).then(() => { if (v.entry === e.url) v.entry = null; invalidateStorage(`cache:${name}`); });
+        }}, 'Delete')))));
+      out.append(el('div', {className:'console-table-wrap'}, table));
+      if (!entries.length) out.append(el('div', {className:'storage-note'}, 'This cache is empty.'));
+      const sel = entries.find(e => e.url === v.entry);
+      if (sel) {
+        out.append(sectionKV('Response Headers', sel.headers));
+        out.append(asyncBlock(loadStorage(`cache:${name}\n${sel.url}`, () => readResponseTextSafe(sel.response.clone())), (text) => {
+          try { return codeSection('Body', JSON.parse(text)); } catch { return codeSection('Body', escapeHTML(text)); }
+        }));
+      }
+      return out;
+    }));
+    return wrap;
   }
 
+  // ----- Service Workers -----
+  function serviceWorkerView(){
+    const wrap = el('div');
+    wrap.append(refreshBar('sw'));
+    if (!navigator.serviceWorker) { wrap.append(el('div', {className:'storage-note'}, 'Service workers are not available (they require a secure context).')); return wrap; }
+    wrap.append(asyncBlock(loadStorage('sw', () => navigator.serviceWorker.getRegistrations()), (regs) => {
+      const out = el('div');
+      if (!regs.length) out.append(el('div', {className:'storage-note'}, 'No service workers registered for this origin.'));
+      const controller = navigator.serviceWorker.controller?.scriptURL;
+      regs.forEach(reg => {
+        const workers = {};
+        ['installing', 'waiting', 'active'].forEach(k => { if (reg[k]) workers[k[0].toUpperCase() + k.slice(1)] = `${reg[k].scriptURL} (${reg[k].state})`; });
+        out.append(sectionKV(reg.scope, {...workers, 'Controls this page': reg.active?.scriptURL === controller ? 'yes' : 'no', 'Update via cache': reg.updateViaCache}));
+        out.append(el('div', {className:'ws-compose-bar'},
+          el('button', {className:'dc-btn', onclick: () => reg.update().then(() => invalidateStorage('sw'), (e) => pushConsole('error', ['Service worker update failed', e]))}, 'Update'),
+          el('button', {className:'dc-btn', onclick: () => reg.unregister().then((ok) => {
+            pushConsole(ok ? 'warn' : 'error', [ok ? `Unregistered service worker ${reg.scope}` : `Could not unregister ${reg.scope}`]);
+            invalidateStorage('sw');
+          })}, 'Unregister')));
+      });
+      return out;
+    }));
+    return wrap;
+  }
+
+  const webStorage = (area) => area === 'local' ? localStorage : sessionStorage;
+  const storageMatches = (...texts) => {
+    const q = storageView.search.trim().toLowerCase();
+    return !q || texts.some(t => t != null && String(t).toLowerCase().includes(q));
+  };
+
+  // DevConsole's own edits go through the original methods so they stay out of the change log.
+  const ownStorageWrite = (storage, method, ...args) => original.storage ? original.storage[method].apply(storage, args) : storage[method](...args);
+
   function storagePane(title, storage){
     const pane = el('div', {className:'storage-pane'});
     pane.append(el('h4',{}, title));
@@ -416,179 +3260,1197 @@
       for (let i=0;i<storage.length;i++){
         const key = storage.key(i);
         const val = storage.getItem(key);
-        list.append(storageItem(storage, key, val));
+        if (storageMatches(key, val)) list.append(storageItem(storage, key, val));
+      }
+      // add new
+      list.append(storageEditor(storage));
+    };
+    renderItems();
+    return pane;
+  }
+
+  function storageItem(storage, key, val){
+    const area = storage === localStorage ? 'local' : 'session';
+    const selected = storageView.web?.area === area && storageView.web.key === key;
+    const row = el('div', {className:`storage-item${selected ? ' selected' : ''}`, title:'Open full value', onclick: () => { storageView.web = {area, key}; render(); }});
+    const k = el('code', {}, key);
+    const v = el('code', {}, (val?.length>80?val.slice(0,80)+'…':val) || '');
+    const del = el('button', {onclick: (e)=>{
+      e.stopPropagation();
+      ownStorageWrite(storage, 'removeItem', key);
+      if (selected) storageView.web = null;
+      pushConsole('warn',[`Removed ${key} from ${area}Storage`]);
+      render();
+    }}, 'Delete');
+    row.append(k, v, del);
+    return row;
+  }
+
+  function storageEditor(storage){
+    const row = el('div', {className:'storage-item'});
+    const keyIn = el('input', {placeholder:'key'});
+    const valIn = el('input', {placeholder:'value'});
+    const add = el('button', {onclick: ()=>{ ownStorageWrite(storage, 'setItem', keyIn.value, valIn.value); pushConsole('info',[`Set ${keyIn.value}`]); render(); }}, 'Add/Update');
+    row.append(keyIn, valIn, add);
+    return row;
+  }
+
+  // Draft for the full-value editor: objects/arrays get the tree, anything else plain text.
+  const webDraftFor = (area, key, raw) => {
+    let value, json = false;
+    try { value = JSON.parse(raw); json = true; } catch {}
+    const tree = json && value !== null && typeof value === 'object';
+    return { area, key, raw, json, mode: tree ? 'tree' : 'text', value, text: tree ? '' : raw, pending: {}, collapsed: new Set(), error: '' };
+  };
+
+  function webValueEditor(area, key){
+    const v = storageView;
+    const storage = webStorage(area);
+    const current = storage.getItem(key);
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, `${area}Storage › ${key}`));
+    if (current === null) {
+      s.append(el('div', {className:'storage-note'}, 'This key no longer exists.'));
+      return s;
+    }
+    let d = v.webDraft;
+    if (!d || d.area !== area || d.key !== key) d = v.webDraft = webDraftFor(area, key, current);
+    if (d.raw !== current) s.append(el('div', {className:'storage-note error'}, 'The page changed this value since you opened it; saving will overwrite it.'));
+
+    const modes = el('div', {className:'net-filter-row storage-pills'},
+      facetPill('Tree', d.mode === 'tree', () => {
+        if (d.mode === 'tree') return;
+        try { d.value = JSON.parse(d.text); } catch (e) { d.error = `Not valid JSON: ${e.message}`; render(); return; }
+        Object.assign(d, {mode: 'tree', pending: {}, error: ''});
+        render();
+      }, 'Edit as a JSON tree'),
+      facetPill('Text', d.mode === 'text', () => {
+        if (d.mode === 'text') return;
+        Object.assign(d, {mode: 'text', text: JSON.stringify(d.value, null, 2), error: ''});
+        render();
+      }, 'Edit the raw string'),
+      el('div', {className:'dc-spacer'}),
+      el('span', {className:'net-count'}, `${fmtBytes(new TextEncoder().encode(current).length)}${d.json ? ' · JSON' : ''}`));
+    s.append(modes);
+
+    if (d.mode === 'tree') s.append(jsonTreeEditor(d));
+    else {
+      const input = el('textarea', {className:'dc-input', id:'dc-web-value', rows: 10, value: d.text});
+      input.addEventListener('input', () => { d.text = input.value; });
+      s.append(el('div', {className:'ws-compose-bar'}, input));
+    }
+    if (d.error) s.append(el('div', {className:'storage-note error'}, d.error));
+
+    const save = () => {
+      const invalid = Object.keys(d.pending).length;
+      if (d.mode === 'tree' && invalid) { d.error = `Fix ${invalid} invalid value${invalid > 1 ? 's' : ''} before saving.`; render(); return; }
+      let out = d.mode === 'tree' ? JSON.stringify(d.value) : d.text;
+      // a value that was JSON must still be JSON
+      if (d.mode === 'text' && d.json) {
+        try { out = JSON.stringify(JSON.parse(d.text)); } catch (e) { d.error = `Not valid JSON: ${e.message}`; render(); return; }
+      }
+      try { ownStorageWrite(storage, 'setItem', key, out); }
+      catch (e) { d.error = `Save failed: ${e.message}`; render(); return; }
+      pushConsole('info', [`Saved ${key} in ${area}Storage`]);
+      v.webDraft = null;
+      render();
+    };
+    s.append(el('div', {className:'ws-compose-bar'},
+      el('button', {className:'dc-btn', onclick: save}, 'Save'),
+      el('button', {className:'dc-btn', title:'Discard edits', onclick: () => { v.webDraft = null; render(); }}, 'Revert'),
+      el('button', {className:'dc-btn', onclick: () => { v.web = null; v.webDraft = null; render(); }}, 'Close')));
+    return s;
+  }
+
+  // Leaves are edited as JSON literals ("text", 42, true, null, {} or []) and only applied when they parse.
+  function jsonTreeEditor(d){
+    const box = el('div', {className:'json-tree'});
+    let seq = 0;
+    const structural = () => { d.pending = {}; d.error = ''; render(); };
+
+    const walk = (holder, prop, label, path, depth) => {
+      const value = holder[prop];
+      const isContainer = value !== null && typeof value === 'object';
+      const line = el('div', {className:'json-line', style:`padding-left:${depth * 1.1}rem`});
+
+      if (Array.isArray(holder)) line.append(el('span', {className:'json-key'}, `${label}:`));
+      else if (depth > 0) {
+        const keyIn = el('input', {className:'json-key-input', id:`dc-json-${seq++}`, value: label, size: Math.max(1, label.length)});
+        keyIn.addEventListener('change', () => {
+          const to = keyIn.value;
+          if (to === label) return;
+          if (!to || Object.prototype.hasOwnProperty.call(holder, to)) { d.error = `Key "${to}" is empty or already exists.`; render(); return; }
+          const entries = Object.entries(holder);
+          entries.forEach(([k]) => delete holder[k]);
+          entries.forEach(([k, val]) => { holder[k === label ? to : k] = val; });
+          structural();
+        });
+        line.append(keyIn, ':');
+      }
+
+      if (isContainer) {
+        const open = !d.collapsed.has(path);
+        const n = Array.isArray(value) ? value.length : Object.keys(value).length;
+        line.append(
+          el('span', {className:'dom-arrow', onclick: () => { if (open) d.collapsed.add(path); else d.collapsed.delete(path); render(); }}, open ? '▾' : '▸'),
+          el('span', {className:'json-summary'}, Array.isArray(value) ? `Array(${n})` : `Object{${n}}`),
+          el('button', {className:'json-btn', title:'Add entry', onclick: () => {
+            if (Array.isArray(value)) value.push(null);
+            else { let k = 'key', i = 1; while (k in value) k = `key${i++}`; value[k] = null; }
+            d.collapsed.delete(path);
+            structural();
+          }}, '+'));
+      } else {
+        const id = `dc-json-${seq++}`;
+        const text = d.pending[path] ?? JSON.stringify(value);
+        const input = el('input', {className:`json-value ${valueClass(value)}${path in d.pending ? ' invalid' : ''}`, id, value: text});
+        input.addEventListener('change', () => {
+          try {
+            holder[prop] = JSON.parse(input.value);
+            delete d.pending[path];
+          } catch { d.pending[path] = input.value; }
+          d.error = '';
+          render();
+        });
+        line.append(input);
+      }
+      if (depth > 0) line.append(el('button', {className:'json-btn', title:'Remove', onclick: () => {
+        if (Array.isArray(holder)) holder.splice(prop, 1); else delete holder[prop];
+        structural();
+      }}, '×'));
+      box.append(line);
+
+      if (isContainer && !d.collapsed.has(path)) {
+        (Array.isArray(value) ? value.map((_, i) => i) : Object.keys(value))
+          .forEach(k => walk(value, k, String(k), `${path}/${k}`, depth + 1));
+      }
+    };
+    walk(d, 'value', '', '', 0);
+    return box;
+  }
+
+  const storageLogOpen = new Set(); // expanded change-log rows
+
+  function storageChangeLog(){
+    const s = el('div', {className:'section'});
+    const rows = state.storageLog.filter(c => storageMatches(c.key, c.oldValue, c.newValue));
+    s.append(el('h3', {className:'storage-log-head'}, `Changes (${rows.length})`, capControl('storageLog')));
+    if (!rows.length) s.append(el('div', {className:'storage-note'}, 'setItem, removeItem and clear calls made by the page show up here.'));
+    const clip = (val) => val == null ? '∅' : val.length > 60 ? val.slice(0, 60) + '…' : val;
+    rows.slice(-200).reverse().forEach(c => {
+      const open = storageLogOpen.has(c.id);
+      const row = el('div', {className:'storage-change', onclick: () => { if (open) storageLogOpen.delete(c.id); else storageLogOpen.add(c.id); render(); }},
+        el('span', {className:'dur'}, new Date(c.time).toLocaleTimeString()),
+        el('span', {className:'level-pill'}, c.area),
+        el('span', {className:'method'}, c.op),
+        el('code', {className:'url'}, c.key ?? '*'),
+        el('code', {className:'url'}, c.op === 'clear' ? `${Object.keys(c.oldValue).length} keys` : `${clip(c.oldValue)} → ${clip(c.newValue)}`));
+      s.append(row);
+      if (open) {
+        const pretty = (val) => { try { return syntaxHighlight(JSON.parse(val)); } catch { return escapeHTML(String(val)); } };
+        if (c.op === 'clear') s.append(codeSection('Removed', c.oldValue));
+        else s.append(codeSection('Old value', c.oldValue == null ? '∅' : pretty(c.oldValue)), codeSection('New value', c.newValue == null ? '∅' : pretty(c.newValue)));
+        if (c.stack) s.append(stackSection('Stack', c.stack, c.id));
+      }
+    });
+    return s;
+  }
+
+  // cookieStore (where supported) exposes path/domain/expiry/SameSite; document.cookie only names and values.
+  const cookieList = () => {
+    const fromStore = window.cookieStore ? loadStorage('cookies', () => cookieStore.getAll()) : null;
+    if (fromStore?.value) return { full: true, cookies: fromStore.value };
+    return { full: false, cookies: Object.entries(parseCookies(document.cookie)).map(([name, value]) => ({name, value})) };
+  };
+  const onCookieChange = () => {
+    storageCache.delete('cookies');
+    if (state.open && state.activeTab === 'storage') scheduleRender();
+  };
+
+  function cookiePane(){
+    const v = storageView;
+    const pane = el('div', {className:'storage-pane'});
+    pane.append(el('h4',{}, 'Cookies', el('button', {className:'dc-btn cookie-new', onclick: () => { v.cookie = {isNew: true}; v.cookieDraft = null; render(); }}, 'New')));
+    const list = el('div', {className:'storage-list'});
+    if (v.cookieStatus) list.append(el('div', {className:`storage-note${v.cookieStatus.ok ? '' : ' error'}`}, v.cookieStatus.text));
+    const {full, cookies} = cookieList();
+    cookies.filter(c => storageMatches(c.name, c.value)).forEach(c => {
+      const selected = v.cookie && !v.cookie.isNew && v.cookie.name === c.name && v.cookie.path === c.path && v.cookie.domain === c.domain;
+      const row = el('div', {className:`storage-item${selected ? ' selected' : ''}`, title:'Edit cookie', onclick: () => { v.cookie = c; v.cookieDraft = null; render(); }});
+      const attrs = full ? [c.domain || 'host-only', c.path, c.expires ? new Date(c.expires).toLocaleString() : 'session', c.sameSite, c.secure ? 'Secure' : '', c.partitioned ? 'Partitioned' : ''].filter(Boolean).join(' · ') : '';
+      row.append(el('code',{}, c.name), el('code',{}, c.value, attrs ? el('div', {className:'cookie-attrs'}, attrs) : ''),
+        el('button', {onclick: (e) => { e.stopPropagation(); deleteCookie(c); }}, 'Delete'));
+      list.append(row);
+    });
+    if (!full) list.append(el('div', {className:'storage-note'}, 'Path, domain and expiry are not readable from document.cookie in this browser.'));
+    pane.append(list);
+    return pane;
+  }
+
+  // Same-named cookies from different paths or domains are listed side by side in document.cookie.
+  const cookieCount = (name) => document.cookie.split(/;\s*/).filter(pair => pair.split('=')[0] === name).length;
+
+  const cookieAttrs = ({path, domain, secure, sameSite}) => [
+    path && `path=${path}`,
+    domain && `domain=${domain}`,
+    sameSite && `samesite=${sameSite}`,
+    secure && 'secure',
+  ].filter(Boolean).join('; ');
+
+  // A cookie only goes away when path and domain match how it was set, which document.cookie never tells us.
+  const cookieTargets = (cookie) => {
+    const paths = new Set([cookie.path, '/'].filter(Boolean));
+    const parts = location.pathname.split('/').filter(Boolean);
+    parts.forEach((_, i) => {
+      const p = '/' + parts.slice(0, i + 1).join('/');
+      paths.add(p);
+      paths.add(p + '/');
+    });
+    const domains = new Set(['', cookie.domain || '']);
+    const labels = location.hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      const d = labels.slice(i).join('.');
+      domains.add(d);
+      domains.add('.' + d);
+    }
+    return [...paths].flatMap(path => [...domains].map(domain => ({path, domain})));
+  };
+
+  // Names are written as they are read (cookieStore and document.cookie both give them raw). With cookieStore the
+  // cookie's own path and domain are known, so only it is expired and then looked for again; otherwise every
+  // candidate is tried and the deletion counts as verified when fewer cookies of that name remain visible.
+  // `quiet` skips the status and render, for a rename that reports its own result.
+  const deleteCookie = (cookie, {quiet = false} = {}) => {
+    const name = cookie.name;
+    const secure = location.protocol === 'https:';
+    const exact = cookie.path != null;
+    const targets = exact ? [{path: cookie.path, domain: cookie.domain || ''}] : cookieTargets(cookie);
+    const before = cookieCount(name);
+    targets.forEach(t => {
+      document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; max-age=0; ${cookieAttrs({...t, secure})}${cookie.partitioned ? '; partitioned' : ''}`;
+    });
+    storageCache.delete('cookies');
+    if (quiet) return;
+    const report = (gone) => {
+      storageView.cookieStatus = gone
+        ? { ok: true, text: `Deleted cookie ${name}.` }
+        : { ok: false, text: `Cookie ${name} is still present: it was set for a path or domain this page cannot address.` };
+      pushConsole(gone ? 'warn' : 'error', [storageView.cookieStatus.text]);
+      const open = storageView.cookie;
+      if (open && !open.isNew && open.name === name && open.path === cookie.path && open.domain === cookie.domain) { storageView.cookie = null; storageView.cookieDraft = null; }
+      render();
+    };
+    if (exact && window.cookieStore) {
+      cookieStore.getAll(name).then(left => report(!left.some(c => c.path === cookie.path && (c.domain || '') === (cookie.domain || ''))), () => report(false));
+    } else {
+      report(cookieCount(name) < before);
+    }
+  };
+
+  const toLocalInput = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  const cookieSafe = (str) => String(str).replace(/[;,\s"\\%]/g, encodeURIComponent);
+
+  function cookieEditor(cookie){
+    const v = storageView;
+    const d = v.cookieDraft || (v.cookieDraft = {
+      name: cookie.name || '', value: cookie.value || '', path: cookie.path || '/', domain: cookie.domain || '',
+      lifetime: cookie.expires ? 'expires' : 'session', expires: toLocalInput(cookie.expires || Date.now() + 864e5), maxAge: 3600,
+      sameSite: cookie.sameSite ? cookie.sameSite[0].toUpperCase() + cookie.sameSite.slice(1) : '', secure: !!cookie.secure,
+    });
+    const s = el('div', {className:'section'});
+    s.append(el('h3', {}, cookie.isNew ? 'New Cookie' : `Cookie › ${cookie.name}`));
+    const form = el('div', {className:'kv mock-form'});
+    const field = (label, key, input) => {
+      if (input.type === 'checkbox') input.checked = d[key]; else input.value = d[key];
+      const sync = () => { d[key] = input.type === 'checkbox' ? input.checked : input.value; };
+      input.addEventListener('input', sync);
+      input.addEventListener('change', () => { sync(); if (key === 'lifetime') render(); });
+      form.append(el('div', {className:'k'}, label), input);
+    };
+    const select = (options) => {
+      const sel = el('select', {className:'dc-input'});
+      Object.entries(options).forEach(([val, label]) => sel.append(el('option', {value: val}, label)));
+      return sel;
+    };
+    field('Name', 'name', el('input', {className:'dc-input', id:'dc-cookie-name'}));
+    field('Value', 'value', el('input', {className:'dc-input', id:'dc-cookie-value'}));
+    field('Path', 'path', el('input', {className:'dc-input', id:'dc-cookie-path'}));
+    field('Domain', 'domain', el('input', {className:'dc-input', id:'dc-cookie-domain', placeholder:`host-only (${location.hostname})`}));
+    field('Lifetime', 'lifetime', select({session:'Session', expires:'Expires at', maxAge:'Max-Age'}));
+    if (d.lifetime === 'expires') field('Expires', 'expires', el('input', {className:'dc-input', type:'datetime-local'}));
+    if (d.lifetime === 'maxAge') field('Max-Age (s)', 'maxAge', el('input', {className:'dc-input', type:'number', min:0}));
+    field('SameSite', 'sameSite', select({'':'(browser default)', Lax:'Lax', Strict:'Strict', None:'None'}));
+    field('Secure', 'secure', el('input', {type:'checkbox'}));
+    s.append(form);
+
+    const save = () => {
+      const name = d.name.trim();
+      if (!name || /[=;,\s]/.test(name)) { v.cookieStatus = { ok: false, text: 'Cookie names cannot be empty or contain "=", ";", "," or whitespace.' }; render(); return; }
+      let lifetime = '';
+      if (d.lifetime === 'expires') {
+        const at = new Date(d.expires);
+        if (isNaN(at)) { v.cookieStatus = { ok: false, text: 'Expires is not a valid date.' }; render(); return; }
+        lifetime = `; expires=${at.toUTCString()}`;
+      }
+      if (d.lifetime === 'maxAge') lifetime = `; max-age=${Math.max(0, parseInt(d.maxAge, 10) || 0)}`;
+      // renaming or moving a cookie leaves the old one behind unless it is removed first
+      if (!cookie.isNew && (name !== cookie.name || d.path !== (cookie.path || '/') || d.domain !== (cookie.domain || ''))) deleteCookie(cookie, {quiet: true});
+      const attrs = cookieAttrs({path: d.path.trim(), domain: d.domain.trim(), sameSite: d.sameSite, secure: d.secure});
+      document.cookie = `${name}=${cookieSafe(d.value)}${lifetime}${attrs ? '; ' + attrs : ''}`;
+      const stored = parseCookies(document.cookie)[name];
+      const expired = d.lifetime === 'maxAge' && !(parseInt(d.maxAge, 10) > 0) || d.lifetime === 'expires' && new Date(d.expires) <= new Date();
+      const visible = d.path.trim() === '/' || location.pathname.startsWith(d.path.trim());
+      v.cookieStatus = stored === d.value ? { ok: true, text: `Saved cookie ${name}.` }
+        : expired ? { ok: true, text: `Cookie ${name} was written already expired, so the browser removed it.` }
+        : !visible ? { ok: true, text: `Saved cookie ${name} for ${d.path}; it is not visible from this page's path.` }
+        : { ok: false, text: `The browser rejected cookie ${name} (Secure needs HTTPS, SameSite=None needs Secure, and Domain must match ${location.hostname}).` };
+      pushConsole(v.cookieStatus.ok ? 'info' : 'error', [v.cookieStatus.text]);
+      if (v.cookieStatus.ok) { v.cookie = null; v.cookieDraft = null; }
+      storageCache.delete('cookies');
+      render();
+    };
+    s.append(el('div', {className:'ws-compose-bar'},
+      el('button', {className:'dc-btn', onclick: save}, 'Save'),
+      cookie.isNew ? '' : el('button', {className:'dc-btn', onclick: () => deleteCookie(cookie)}, 'Delete'),
+      el('button', {className:'dc-btn', onclick: () => { v.cookie = null; v.cookieDraft = null; render(); }}, 'Cancel')));
+    return s;
+  }
+
+  // Names stay raw, as the editor writes them back; values are decoded where they decode.
+  const parseCookies = (cookieStr) => cookieStr.split(/;\s*/).filter(Boolean).reduce((acc, pair)=>{
+    const idx = pair.indexOf('=');
+    if (idx === -1) acc[pair] = '';
+    else {
+      const raw = pair.slice(idx+1);
+      try { acc[pair.slice(0,idx)] = decodeURIComponent(raw); } catch { acc[pair.slice(0,idx)] = raw; }
+    }
+    return acc;
+  },{});
+
+  // ---------- Performance Tab ----------
+  const SAMPLE_MS = 1000;
+  const SAMPLE_HISTORY = 300; // five minutes at 1 Hz
+  const PERF_METRICS = [
+    ['fps', 'FPS', (v) => `${Math.round(v)} fps`, '--dc-green'],
+    ['heap', 'JS Heap', fmtBytes, '--dc-purple'],
+    ['nodes', 'DOM Nodes', (v) => Math.round(v).toLocaleString(), '--dc-blue'],
+    ['listeners', 'Event Listeners', (v) => Math.round(v).toLocaleString(), '--dc-yellow'],
+  ];
+
+  // History lives outside the tab so it survives tab switches; sampling only runs while the tab is visible.
+  const perfHistory = { fps: [], heap: [], nodes: [], listeners: [] }; // metric -> [{t, v}]
+  let perfSampler = null; // {raf, timer} while sampling
+  let perfCharts = {}; // metric -> {canvas, current, stats} for the mounted tab
+
+  const pushSample = (key, v) => {
+    const h = perfHistory[key];
+    h.push({ t: Date.now(), v });
+    if (h.length > SAMPLE_HISTORY) h.splice(0, h.length - SAMPLE_HISTORY);
+  };
+
+  // One pass over the page's elements (DevConsole's own excluded) for node and listener counts.
+  const sampleDOM = () => {
+    let nodes = 0, listeners = listenerCount(window) + listenerCount(document);
+    for (const n of document.getElementsByTagName('*')) {
+      if (isOwnNode(n)) continue;
+      nodes++;
+      listeners += listenerCount(n);
+    }
+    return { nodes, listeners };
+  };
+
+  const startPerfSampler = () => {
+    let frames = 0, last = performance.now();
+    const loop = () => { frames++; perfSampler.raf = requestAnimationFrame(loop); };
+    perfSampler = { raf: requestAnimationFrame(loop), timer: setInterval(() => {
+      const now = performance.now();
+      pushSample('fps', frames * 1000 / (now - last));
+      frames = 0; last = now;
+      if (performance.memory) pushSample('heap', performance.memory.usedJSHeapSize);
+      const {nodes, listeners} = sampleDOM();
+      pushSample('nodes', nodes);
+      if (listenersCaptured) pushSample('listeners', listeners);
+      drawPerfCharts();
+    }, SAMPLE_MS) };
+  };
+
+  const stopPerfSampler = () => {
+    cancelAnimationFrame(perfSampler.raf);
+    clearInterval(perfSampler.timer);
+    perfSampler = null;
+  };
+
+  const syncPerfSampler = () => {
+    const want = state.open && state.activeTab === 'performance' && document.visibilityState !== 'hidden';
+    if (want && !perfSampler) startPerfSampler();
+    if (!want && perfSampler) stopPerfSampler();
+    if (!want) perfCharts = {};
+  };
+
+  function drawPerfCharts(){
+    const styles = getComputedStyle(root);
+    for (const [key, , fmt, colorVar] of PERF_METRICS) {
+      const chart = perfCharts[key];
+      if (!chart?.canvas.isConnected) continue;
+      const h = perfHistory[key];
+      const values = h.map(s => s.v);
+      const unsupported = key === 'heap' && !performance.memory ? 'performance.memory is Chromium-only.'
+        : key === 'listeners' && !listenersCaptured ? 'Off; enable with DevConsole.init({capture: {listeners: true}}).' : '';
+      chart.current.textContent = h.length ? fmt(values[values.length - 1]) : unsupported ? 'N/A' : '—';
+      chart.stats.textContent = h.length
+        ? `min ${fmt(values.reduce((a, b) => Math.min(a, b)))} · avg ${fmt(values.reduce((a, b) => a + b, 0) / values.length)} · max ${fmt(values.reduce((a, b) => Math.max(a, b)))}`
+        : unsupported || 'Collecting…';
+
+      const {canvas} = chart;
+      const ctx = canvas.getContext?.('2d');
+      if (!ctx) continue;
+      const dpr = window.devicePixelRatio || 1;
+      const w = canvas.clientWidth || 260, ht = canvas.clientHeight || 64;
+      canvas.width = w * dpr;
+      canvas.height = ht * dpr;
+      ctx.scale(dpr, dpr);
+      if (h.length < 2) continue;
+      const t1 = h[h.length - 1].t, t0 = Math.min(h[0].t, t1 - 60000);
+      const max = values.reduce((a, b) => Math.max(a, b));
+      const top = Math.max(max, key === 'fps' ? 60 : 0) * 1.1 || 1;
+      const x = (t) => (t - t0) / (t1 - t0) * w;
+      const y = (v) => ht - v / top * (ht - 2);
+      ctx.strokeStyle = styles.getPropertyValue('--dc-border').trim() || '#333';
+      ctx.beginPath(); ctx.moveTo(0, Math.round(y(max)) + .5); ctx.lineTo(w, Math.round(y(max)) + .5); ctx.stroke();
+      ctx.strokeStyle = styles.getPropertyValue(colorVar).trim() || '#7aa2f7';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      // break the line where sampling paused (tab hidden or switched away)
+      h.forEach((s, i) => {
+        if (i && s.t - h[i - 1].t <= SAMPLE_MS * 2.5) ctx.lineTo(x(s.t), y(s.v));
+        else ctx.moveTo(x(s.t), y(s.v));
+      });
+      ctx.stroke();
+    }
+  }
+
+  function mountPerformance(body){
+    body.classList.add('perf-body');
+    body.append(perfRecorderPanel());
+
+    const wrap = el('div', {className:'perf-wrap'});
+    perfCharts = {};
+    PERF_METRICS.forEach(([key, label]) => {
+      const chart = perfCharts[key] = {
+        canvas: el('canvas', {className:'perf-chart'}),
+        current: el('div', {className:'perf-metric'}, '—'),
+        stats: el('div', {className:'perf-note'}),
+      };
+      wrap.append(el('div', {className:'perf-card'}, el('h4', {}, label), chart.current, chart.canvas, chart.stats));
+    });
+
+    // Navigation Timing
+    const navTiming = el('pre', {className:'code'});
+    const navCard = el('div', {className:'perf-card perf-nav'});
+    navCard.append(el('h4',{},'Navigation Timing'), navTiming);
+    wrap.append(navCard);
+
+    body.append(wrap);
+    // canvases have no size until the body is attached
+    requestAnimationFrame(drawPerfCharts);
+
+    // navigation/resource timing snapshot
+    try {
+      const nav = performance.getEntriesByType('navigation')[0] || performance.timing;
+      navTiming.innerHTML = syntaxHighlight(nav.toJSON ? nav.toJSON() : nav);
+    } catch (e) {
+      navTiming.textContent = 'Navigation timing not available.';
+    }
+  }
+
+  // ---------- Performance Recorder ----------
+  // [good up to, poor above, unit]
+  const VITALS = {
+    LCP: [2500, 4000, 'ms'],
+    INP: [200, 500, 'ms'],
+    CLS: [0.1, 0.25, ''],
+    FCP: [1800, 3000, 'ms'],
+  };
+  const PERF_LANES = [
+    ['fps', 'FPS'],
+    ['longtask', 'Long tasks'],
+    ['shift', 'Layout shifts'],
+    ['lcp', 'LCP'],
+    ['event', 'Interactions'],
+    ['mark', 'Marks'],
+    ['measure', 'Measures'],
+  ];
+  const PERF_TYPES = { longtask: 'longtask', 'layout-shift': 'shift', 'largest-contentful-paint': 'lcp', event: 'event', 'first-input': 'event', mark: 'mark', measure: 'measure' };
+  const PERF_FORMAT = 'devconsole-perf';
+  const FPS_SAMPLE_MS = 500;
+
+  let perfRecording = null; // the recording on screen, live or imported
+  let perfRecorder = null; // {observers, raf} while recording
+  const perfView = { from: null, to: null, selected: null }; // zoom window (ms from recording start) + selected entry
+
+  const nodeLabel = (n) => n instanceof Element ? cssPath(n) : n ? n.nodeName : undefined;
+
+  // Entries are flattened at capture so a recording is plain JSON from the start.
+  function perfEntry(e){
+    const lane = PERF_TYPES[e.entryType];
+    const base = { lane, name: e.name, start: e.startTime, duration: e.duration };
+    switch (lane) {
+      case 'longtask': return { ...base, attribution: e.attribution?.map(a => [a.containerType, a.containerName || a.containerSrc || a.containerId].filter(Boolean).join(' ')).join(', ') };
+      case 'shift': return { ...base, value: e.value, hadRecentInput: e.hadRecentInput, sources: e.sources?.map(src => nodeLabel(src.node)).filter(Boolean) };
+      case 'lcp': return { ...base, start: e.renderTime || e.loadTime || e.startTime, size: e.size, url: e.url, element: nodeLabel(e.element) };
+      case 'event': return { ...base, interactionId: e.interactionId || 0, processingStart: e.processingStart, processingEnd: e.processingEnd, target: nodeLabel(e.target) };
+      case 'mark': case 'measure': return { ...base, detail: e.detail == null ? undefined : safeJSON(e.detail) };
+    }
+    return base;
+  }
+
+  function startPerfRecording(){
+    if (perfRecorder) return;
+    const rec = perfRecording = {
+      format: PERF_FORMAT, version: 1, url: location.href, userAgent: navigator.userAgent, startedAt: Date.now(),
+      start: performance.now(), end: null, entries: [], fps: [],
+      fcp: performance.getEntriesByName?.('first-contentful-paint')[0]?.startTime ?? null,
+    };
+    Object.assign(perfView, {from: null, to: null, selected: null});
+    const supported = window.PerformanceObserver?.supportedEntryTypes || [];
+    const observers = Object.keys(PERF_TYPES).filter(t => supported.includes(t)).map(type => {
+      const po = new PerformanceObserver((list) => {
+        for (const e of list.getEntries()) {
+          if (e.entryType === 'event' || e.entryType === 'first-input') {
+            if (e.target && isOwnNode(e.target)) continue;
+            if (e.entryType === 'first-input' && rec.entries.some(x => x.lane === 'event' && x.interactionId && x.interactionId === e.interactionId)) continue;
+          }
+          rec.entries.push(perfEntry(e));
+        }
+        if (state.open && state.activeTab === 'performance') scheduleRender();
+      });
+      // LCP is a page-load metric, so take whatever the page already reported
+      try { po.observe({ type, buffered: type === 'largest-contentful-paint', ...(type === 'event' ? { durationThreshold: 16 } : {}) }); } catch {}
+      return po;
+    });
+    let last = performance.now(), frames = 0;
+    const loop = (t) => {
+      frames++;
+      if (t - last >= FPS_SAMPLE_MS) {
+        rec.fps.push({ t: last, fps: Math.round(frames * 1000 / (t - last)) });
+        frames = 0; last = t;
+        if (state.open && state.activeTab === 'performance') scheduleRender();
+      }
+      perfRecorder.raf = requestAnimationFrame(loop);
+    };
+    perfRecorder = { observers, raf: requestAnimationFrame(loop) };
+    render();
+  }
+
+  function stopPerfRecording(){
+    if (!perfRecorder) return;
+    perfRecorder.observers.forEach(po => po.disconnect());
+    cancelAnimationFrame(perfRecorder.raf);
+    perfRecorder = null;
+    perfRecording.end = performance.now();
+    render();
+  }
+
+  // Largest burst of shifts within 1 s of each other, capped at 5 s per window (the CLS definition).
+  const clsOf = (shifts) => {
+    let max = 0, sum = 0, first = 0, prev = 0;
+    for (const s of shifts.filter(x => !x.hadRecentInput).sort((a, b) => a.start - b.start)) {
+      if (sum && (s.start - prev > 1000 || s.start - first > 5000)) sum = 0;
+      if (!sum) first = s.start;
+      sum += s.value;
+      prev = s.start;
+      max = Math.max(max, sum);
+    }
+    return max;
+  };
+
+  // Longest interaction, ignoring one outlier per 50 interactions.
+  const inpOf = (events) => {
+    const byInteraction = new Map();
+    for (const e of events) if (e.interactionId) byInteraction.set(e.interactionId, Math.max(byInteraction.get(e.interactionId) || 0, e.duration));
+    const durations = [...byInteraction.values()].sort((a, b) => b - a);
+    return durations.length ? durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))] : null;
+  };
+
+  const perfVitals = (rec) => {
+    const lane = (name) => rec.entries.filter(e => e.lane === name);
+    const lcp = lane('lcp').pop();
+    const shifts = lane('shift');
+    return { LCP: lcp ? lcp.start : null, INP: inpOf(lane('event')), CLS: shifts.length ? clsOf(shifts) : null, FCP: rec.fcp };
+  };
+
+  const rateVital = (name, value) => {
+    const [good, poor] = VITALS[name];
+    return value == null ? 'none' : value <= good ? 'good' : value <= poor ? 'ni' : 'poor';
+  };
+  const fmtVital = (name, value) => value == null ? '—' : VITALS[name][2] === 'ms' ? fmtDuration(value) : value.toFixed(3);
+
+  const exportPerfRecording = () => downloadJSON('devconsole-perf', 'json', perfRecording);
+
+  const importPerfRecording = () => pickFile('.json,application/json', (text, file) => {
+    let data;
+    try { data = JSON.parse(text); } catch (e) { pushConsole('error', ['Recording import failed: not JSON', e.message]); return; }
+    if (data?.format !== PERF_FORMAT || !Array.isArray(data.entries) || !Array.isArray(data.fps)) {
+      pushConsole('error', [`Recording import failed: ${file.name} is not a DevConsole performance recording`]);
+      return;
+    }
+    stopPerfRecording();
+    perfRecording = { ...data, imported: file.name };
+    Object.assign(perfView, {from: null, to: null, selected: null});
+    render();
+  });
+
+  function perfRecorderPanel(){
+    const rec = perfRecording;
+    const wrap = el('div', {className:'perf-recorder'});
+    const now = perfRecorder ? performance.now() : rec?.end;
+    const bar = el('div', {className:'ws-compose-bar perf-toolbar'},
+      perfRecorder
+        ? el('button', {className:'dc-btn perf-rec on', onclick: stopPerfRecording}, '■ Stop')
+        : el('button', {className:'dc-btn perf-rec', onclick: startPerfRecording}, '● Record'),
+      el('button', {className:'dc-btn', disabled: !rec || !!perfRecorder, onclick: exportPerfRecording}, 'Export'),
+      el('button', {className:'dc-btn', onclick: importPerfRecording}, 'Import'),
+      el('span', {className:'net-count'}, !rec ? 'Record to capture long tasks, layout shifts, LCP, interactions, marks and FPS.'
+        : `${perfRecorder ? 'Recording' : rec.imported ? `Imported ${rec.imported}` : 'Recorded'} · ${fmtDuration(now - rec.start)} · ${rec.entries.length} entries · ${new Date(rec.startedAt).toLocaleString()}`));
+    wrap.append(bar);
+    if (!rec) return wrap;
+
+    const vitals = perfVitals(rec);
+    const cards = el('div', {className:'perf-vitals'});
+    Object.entries(VITALS).forEach(([name, [good, poor, unit]]) => {
+      const value = vitals[name];
+      cards.append(el('div', {className:`perf-vital ${rateVital(name, value)}`, title:`Good ≤ ${good}${unit}, poor > ${poor}${unit}`},
+        el('span', {className:'perf-vital-name'}, name),
+        el('span', {className:'perf-metric'}, fmtVital(name, value)),
+        el('span', {className:'perf-note'}, value == null ? 'not observed' : {good:'Good', ni:'Needs improvement', poor:'Poor'}[rateVital(name, value)])));
+    });
+    const longtasks = rec.entries.filter(e => e.lane === 'longtask');
+    cards.append(el('div', {className:'perf-vital none', title:'Sum of long-task time over 50 ms'},
+      el('span', {className:'perf-vital-name'}, 'Blocking'),
+      el('span', {className:'perf-metric'}, fmtDuration(longtasks.reduce((sum, t) => sum + Math.max(0, t.duration - 50), 0))),
+      el('span', {className:'perf-note'}, `${longtasks.length} long task${longtasks.length === 1 ? '' : 's'}`)));
+    wrap.append(cards, perfTimeline(rec, now));
+
+    const sel = rec.entries[perfView.selected];
+    if (sel) {
+      const {lane, ...fields} = sel;
+      wrap.append(sectionKV(PERF_LANES.find(l => l[0] === lane)?.[1] || lane, Object.fromEntries(Object.entries(fields)
+        .filter(([, v]) => v != null && v !== '')
+        .map(([k, v]) => [k, typeof v === 'number' && !['value', 'size', 'interactionId'].includes(k) ? fmtDuration(k === 'start' ? v - rec.start : v) : Array.isArray(v) ? v.join(', ') : v]))));
+    }
+    return wrap;
+  }
+
+  function perfTimeline(rec, now){
+    const t0 = Math.min(rec.start, ...rec.entries.map(e => e.start)) - rec.start;
+    const t1 = Math.max(now, ...rec.entries.map(e => e.start + (e.duration || 0))) - rec.start;
+    const from = perfView.from ?? t0, to = perfView.to ?? Math.max(t1, t0 + 1);
+    const span = to - from;
+    const pos = (t) => (t - rec.start - from) / span * 100;
+    const setView = (a, b) => {
+      const w = Math.max(10, b - a);
+      a = clamp(t0, a, Math.max(t0, t1 - w));
+      perfView.from = a; perfView.to = a + w;
+      if (a <= t0 && a + w >= t1) perfView.from = perfView.to = null;
+      scheduleRender();
+    };
+
+    const tl = el('div', {className:'perf-timeline'});
+    const axis = el('div', {className:'wf-bar wf-axis'});
+    for (let i = 0; i <= 4; i++) axis.append(el('span', {style:`left:${i * 25}%`}, fmtDuration(from + span * i / 4)));
+    tl.append(el('div', {className:'perf-lane'}, el('span', {className:'perf-lane-label'},
+      el('button', {className:'json-btn', title:'Zoom in', onclick: () => setView(from + span / 4, to - span / 4)}, '+'),
+      el('button', {className:'json-btn', title:'Zoom out', onclick: () => setView(from - span / 2, to + span / 2)}, '−'),
+      el('button', {className:'json-btn', title:'Show everything', onclick: () => setView(t0, t1)}, '⤢')), axis));
+
+    PERF_LANES.forEach(([lane, label]) => {
+      const track = el('div', {className:`perf-track lane-${lane}`});
+      if (lane === 'fps') {
+        const w = FPS_SAMPLE_MS / span * 100;
+        rec.fps.forEach(s => {
+          const left = pos(s.t);
+          if (left + w < 0 || left > 100) return;
+          track.append(el('span', {className:`perf-fps${s.fps < 30 ? ' low' : ''}`, title:`${s.fps} fps at ${fmtDuration(s.t - rec.start)}`,
+            style:`left:${left}%;width:${w}%;height:${clamp(4, s.fps / 60 * 100, 100)}%`}));
+        });
+      } else {
+        rec.entries.forEach((e, i) => {
+          if (e.lane !== lane) return;
+          const left = pos(e.start), width = (e.duration || 0) / span * 100;
+          if (left + width < 0 || left > 100) return;
+          const mark = !width || lane === 'shift' || lane === 'lcp' || lane === 'mark';
+          const title = `${e.name || lane} · ${fmtDuration(e.start - rec.start)}${e.duration ? ` · ${fmtDuration(e.duration)}` : ''}${e.value != null ? ` · ${e.value.toFixed(4)}` : ''}`;
+          track.append(el('span', {className:`perf-bar${mark ? ' tick' : ''}${perfView.selected === i ? ' selected' : ''}`, title,
+            style:`left:${left}%;${mark ? '' : `width:${width}%`}`, onclick: () => { perfView.selected = i; render(); }}));
+        });
+      }
+      tl.append(el('div', {className:'perf-lane'}, el('span', {className:'perf-lane-label'}, label), track));
+    });
+
+    // Ctrl/Cmd + wheel (and trackpad pinch) zooms around the pointer; horizontal swipes and dragging pan.
+    // A plain vertical wheel is left alone so the pane still scrolls.
+    const fractionAt = (x) => {
+      const r = tl.querySelector('.perf-track').getBoundingClientRect();
+      return r.width ? clamp(0, (x - r.left) / r.width, 1) : 0.5;
+    };
+    tl.addEventListener('wheel', (e) => {
+      if (!e.ctrlKey && !e.metaKey) {
+        if (Math.abs(e.deltaX) <= Math.abs(e.deltaY)) return;
+        e.preventDefault();
+        const width = tl.querySelector('.perf-track').getBoundingClientRect().width || 1;
+        const dt = e.deltaX / width * span;
+        setView(from + dt, to + dt);
+        return;
+      }
+      e.preventDefault();
+      const f = fractionAt(e.clientX), at = from + span * f;
+      const next = span * (e.deltaY > 0 ? 1.25 : 0.8);
+      setView(at - next * f, at + next * (1 - f));
+    }, {passive: false});
+    tl.addEventListener('mousedown', (e) => {
+      if (e.target.closest('button, .perf-bar')) return;
+      const width = tl.querySelector('.perf-track').getBoundingClientRect().width || 1;
+      const x0 = e.clientX;
+      const move = (ev) => { const dt = (x0 - ev.clientX) / width * span; setView(from + dt, to + dt); };
+      const up = () => { window.removeEventListener('mousemove', move); window.removeEventListener('mouseup', up); };
+      window.addEventListener('mousemove', move);
+      window.addEventListener('mouseup', up);
+    });
+    return tl;
+  }
+
+  // ---------- Capture Console ----------
+  const consoleGroups = []; // ids of open console.group rows, innermost last
+  const consoleTimers = new Map();
+  const consoleCounts = new Map();
+
+  // Applies %s %d %i %f %o %O %c the way browsers do; leftover args are appended.
+  const formatArgs = (args) => {
+    if (typeof args[0] !== 'string' || !/%[sdifoOc%]/.test(args[0])) return null;
+    const fmt = args[0];
+    const out = [];
+    let style = '', buf = '', next = 1;
+    const flush = () => { if (buf) out.push({text: buf, style}); buf = ''; };
+    for (let p = 0; p < fmt.length; p++) {
+      const spec = fmt[p] === '%' ? fmt[p + 1] : null;
+      if (!spec || !'sdifoOc%'.includes(spec)) { buf += fmt[p]; continue; }
+      p++;
+      if (spec === '%') { buf += '%'; continue; }
+      if (next >= args.length) { buf += '%' + spec; continue; }
+      const arg = args[next++];
+      if (spec === 's') buf += typeof arg === 'string' ? arg : previewValue(arg, 1);
+      else if (spec === 'd' || spec === 'i') buf += typeof arg === 'bigint' ? `${arg}n` : typeof arg === 'symbol' ? 'NaN' : String(Math.trunc(Number(arg)));
+      else if (spec === 'f') buf += typeof arg === 'symbol' ? 'NaN' : String(parseFloat(arg));
+      else if (spec === 'c') { flush(); style = String(arg); }
+      else { flush(); out.push({value: arg, style}); }
+    }
+    flush();
+    args.slice(next).forEach(a => {
+      out.push({text: ' ', style: ''});
+      out.push(typeof a === 'string' ? {text: a, style: ''} : {value: a, style: ''});
+    });
+    return out;
+  };
+
+  // Console rows keep copies of their arguments so logging doesn't pin page objects in memory.
+  // Copies share the original's prototype, so class getters still work on the copied fields.
+  // One copier per row: objects shared between arguments (or cycles) stay shared in the copy.
+  const SNAPSHOT_DEPTH = 5;
+  const SNAPSHOT_NODES = 2000;
+
+  // Reflect.ownKeys would list every index of a huge array; only the first `max` are visited.
+  // Named keys are enumerated only on arrays short enough for that to be cheap; symbols always are.
+  const snapshotArrayKeys = (a, max) => {
+    const keys = [];
+    for (let i = 0; i < Math.min(a.length, max); i++) if (Object.prototype.hasOwnProperty.call(a, i)) keys.push(String(i));
+    if (a.length <= max) keys.push(...Object.getOwnPropertyNames(a).filter(k => k !== 'length' && !/^(?:0|[1-9]\d*)$/.test(k)));
+    return [...keys, ...Object.getOwnPropertySymbols(a)];
+  };
+
+  // `topItems` caps the items kept of a top-level array, Map or Set (console.table keeps as many rows as it shows).
+  const consoleSnapshot = (topItems = INSPECT_MAX_KEYS) => {
+    const seen = new Map();
+    let budget = SNAPSHOT_NODES + Math.max(0, topItems - INSPECT_MAX_KEYS); // room for each extra row
+    const copy = (v, depth = 0) => {
+      if (typeof v === 'function') return new Opaque(previewValue(v), v);
+      if (v === null || typeof v !== 'object' || v instanceof Opaque) return v;
+      if (seen.has(v)) return seen.get(v);
+      if ((typeof Node !== 'undefined' && v instanceof Node) || v === window || v instanceof Promise || v instanceof WeakMap || v instanceof WeakSet) return new Opaque(previewValue(v), v);
+      if (depth >= SNAPSHOT_DEPTH || --budget < 0) return new Opaque(previewValue(v, 2), v);
+      let out;
+      try {
+        if (v instanceof Date) out = new Date(v.getTime());
+        else if (v instanceof RegExp) out = new RegExp(v.source, v.flags);
+        else if (v instanceof ArrayBuffer) out = v.byteLength <= 4096 ? v.slice(0) : new Opaque(previewValue(v), v);
+        else if (v instanceof TypedArray) out = v.length <= 4096 ? v.slice() : new Opaque(previewValue(v), v);
+        // platform objects (events, Location, Storage…) keep their state in internal slots, so a copy would be empty
+        else if (!Array.isArray(v) && !(v instanceof Map || v instanceof Set || v instanceof Error) && Object.prototype.toString.call(v) !== '[object Object]') out = new Opaque(previewValue(v), v);
+        if (out) { seen.set(v, out); return out; }
+        const max = depth ? INSPECT_MAX_KEYS : topItems;
+        const size = Array.isArray(v) ? v.length : v instanceof Map || v instanceof Set ? v.size : 0;
+        if (v instanceof Error) {
+          out = new Error(v.message);
+          Object.defineProperty(out, 'stack', {value: v.stack, writable: true, configurable: true});
+          if (v.name !== out.name) Object.defineProperty(out, 'name', {value: String(v.name), writable: true, configurable: true});
+        } else if (Array.isArray(v)) out = new Array(Math.min(size, max));
+        else if (v instanceof Map) out = new Map();
+        else if (v instanceof Set) out = new Set();
+        else out = Object.create(Object.getPrototypeOf(v));
+        seen.set(v, out);
+        if (size > max) snapshotSizes.set(out, size);
+        if (v instanceof Map) [...v].slice(0, max).forEach(([k, x]) => out.set(copy(k, depth + 1), copy(x, depth + 1)));
+        if (v instanceof Set) [...v].slice(0, max).forEach(x => out.add(copy(x, depth + 1)));
+        for (const k of Array.isArray(v) ? snapshotArrayKeys(v, max) : Reflect.ownKeys(v)) {
+          const desc = Object.getOwnPropertyDescriptor(v, k);
+          if (!desc) continue;
+          // accessors are not invoked at capture, they may have side effects
+          if (desc.get || desc.set) {
+            if (!Object.prototype.hasOwnProperty.call(out, k)) Object.defineProperty(out, k, {get(){ throw new Error('Accessor was not evaluated when logged'); }, enumerable: desc.enumerable, configurable: true});
+          } else Object.defineProperty(out, k, {value: copy(desc.value, depth + 1), enumerable: desc.enumerable, writable: true, configurable: true});
+        }
+        return out;
+      } catch {
+        return new Opaque(previewValue(v), v);
       }
-      // add new
-      list.append(storageEditor(storage));
     };
-    renderItems();
-    return pane;
+    return (v) => copy(v);
+  };
+
+  function captureConsole(method, args, stack){
+    const label = String(args[0] ?? 'default');
+    switch (method) {
+      case 'group':
+      case 'groupCollapsed': {
+        const fmt = formatArgs(args);
+        const row = pushConsole('group', args.length ? args : ['console.group'], stack, {groupStart: true, collapsed: method === 'groupCollapsed', fmt});
+        consoleGroups.push(row.id);
+        return;
+      }
+      case 'groupEnd': consoleGroups.pop(); return;
+      case 'time':
+        if (consoleTimers.has(label)) pushConsole('warn', [`Timer '${label}' already exists`], stack);
+        else consoleTimers.set(label, performance.now());
+        return;
+      case 'timeLog':
+      case 'timeEnd': {
+        if (!consoleTimers.has(label)) { pushConsole('warn', [`Timer '${label}' does not exist`], stack); return; }
+        const ms = performance.now() - consoleTimers.get(label);
+        if (method === 'timeEnd') consoleTimers.delete(label);
+        const extra = method === 'timeLog' ? args.slice(1) : [];
+        pushConsole('log', [`${label}: ${ms.toFixed(3)} ms`, ...extra], stack, {timer: {label, ms, ended: method === 'timeEnd'}});
+        return;
+      }
+      case 'count': {
+        const n = (consoleCounts.get(label) || 0) + 1;
+        consoleCounts.set(label, n);
+        pushConsole('log', [`${label}: ${n}`], stack);
+        return;
+      }
+      case 'countReset':
+        if (consoleCounts.has(label)) consoleCounts.set(label, 0);
+        else pushConsole('warn', [`Count for '${label}' does not exist`], stack);
+        return;
+      case 'assert': {
+        if (args[0]) return;
+        const rest = args.slice(1);
+        const msg = typeof rest[0] === 'string' ? ['Assertion failed: ' + rest[0], ...rest.slice(1)] : ['Assertion failed' + (rest.length ? ':' : ''), ...rest];
+        pushConsole('error', msg, stack, {fmt: formatArgs(msg)});
+        return;
+      }
+      case 'dir': {
+        const row = pushConsole('log', [args[0]], stack, {dir: true});
+        inspectorOpen.add(`${row.id}/0`);
+        return;
+      }
+      case 'table':
+        if (args[0] !== null && typeof args[0] === 'object') {
+          pushConsole('table', [args[0]], stack, {columns: Array.isArray(args[1]) ? args[1].map(String) : null});
+          return;
+        }
+        break;
+    }
+    pushConsole(method === 'table' || method === 'dir' ? 'log' : method, args, stack, {fmt: formatArgs(args)});
   }
 
-  function storageItem(storage, key, val){
-    const row = el('div', {className:'storage-item'});
-    const k = el('code', {}, key);
-    const v = el('code', {}, (val?.length>80?val.slice(0,80)+'…':val) || '');
-    const del = el('button', {onclick: ()=>{ storage.removeItem(key); pushConsole('warn',[`Removed ${key} from ${storage===localStorage?'local':'session'}Storage`]); render(); }}, 'Delete');
-    row.append(k, v, del);
-    return row;
+  function captureConsoleMethods(){
+    Object.keys(original.console).forEach(method => {
+      patchProp(console, method, function(...args){
+        try { captureConsole(method, args, getStack(2)); } catch {}
+        return original.console[method](...args);
+      });
+    });
   }
 
-  function storageEditor(storage){
-    const row = el('div', {className:'storage-item'});
-    const keyIn = el('input', {placeholder:'key'});
-    const valIn = el('input', {placeholder:'value'});
-    const add = el('button', {onclick: ()=>{ storage.setItem(keyIn.value, valIn.value); pushConsole('info',[`Set ${keyIn.value}`]); render(); }}, 'Add/Update');
-    row.append(keyIn, valIn, add);
+  function pushConsole(level, args, stack, extra){
+    const copy = consoleSnapshot(level === 'table' ? TABLE_MAX_ROWS : undefined);
+    const row = { id: genId(), level, args: args.map(copy), time: Date.now(), stack, ...extra };
+    if (row.fmt) row.fmt = row.fmt.map(seg => 'value' in seg ? {...seg, value: copy(seg.value)} : seg);
+    else delete row.fmt;
+    if (consoleGroups.length) row.group = consoleGroups[consoleGroups.length - 1];
+    pushCapped('consoleLogs', row);
+    if (state.open && state.activeTab==='console') scheduleRender();
     return row;
   }
 
-  function cookiePane(){
-    const pane = el('div', {className:'storage-pane'});
-    pane.append(el('h4',{}, 'Cookies'));
-    const list = el('div', {className:'storage-list'});
-    const parsed = parseCookies(document.cookie);
-    Object.entries(parsed).forEach(([k,v]) => {
-      const row = el('div', {className:'storage-item'});
-      row.append(el('code',{},k), el('code',{},v), (()=>{
-        const del = el('button', {onclick: ()=>{ document.cookie = `${encodeURIComponent(k)}=; Max-Age=0; path=/`; pushConsole('warn',[`Deleted cookie ${k}`]); render(); }}, 'Delete');
-        return del;
-      })());
-      list.append(row);
+  const getStack = (skip=1) => {
+    const e = new Error();
+    if (!e.stack) return '';
+    return e.stack.split('\n').slice(1+skip).join('\n');
+  };
+
+  // ---------- Capture event listeners ----------
+  // Opt-in, since it wraps every addEventListener call on the page. Only listeners added while it's on are known;
+  // `once` listeners and ones whose signal is already aborted are skipped since the browser drops them anyway.
+  let listenersCaptured = false;
+  const listenerRegistry = new WeakMap(); // target -> Map("type capture" -> Set<listener>)
+  const listenerKey = (type, opts) => `${type} ${typeof opts === 'boolean' ? opts : !!opts?.capture}`;
+  const listenerCount = (target) => {
+    let n = 0;
+    listenerRegistry.get(target)?.forEach(set => { n += set.size; });
+    return n;
+  };
+
+  function captureListeners(){
+    if (!original.listeners) return;
+    listenersCaptured = true;
+    teardown.push(() => { listenersCaptured = false; });
+    patchProp(EventTarget.prototype, 'addEventListener', function(type, listener, opts){
+      original.listeners.add.call(this, type, listener, opts);
+      if (!listener || opts?.once || opts?.signal?.aborted) return;
+      let map = listenerRegistry.get(this);
+      if (!map) listenerRegistry.set(this, map = new Map());
+      const key = listenerKey(type, opts);
+      if (!map.has(key)) map.set(key, new Set());
+      map.get(key).add(listener);
+      opts?.signal?.addEventListener?.('abort', () => map.get(key)?.delete(listener), {once: true});
+    });
+    patchProp(EventTarget.prototype, 'removeEventListener', function(type, listener, opts){
+      original.listeners.remove.call(this, type, listener, opts);
+      listenerRegistry.get(this)?.get(listenerKey(type, opts))?.delete(listener);
     });
-    pane.append(list);
-    return pane;
   }
 
-  const parseCookies = (cookieStr) => cookieStr.split(/;\s*/).filter(Boolean).reduce((acc, pair)=>{
-    const idx = pair.indexOf('=');
-    if (idx === -1) acc[decodeURIComponent(pair)] = '';
-    else acc[decodeURIComponent(pair.slice(0,idx))] = decodeURIComponent(pair.slice(idx+1));
-    return acc;
-  },{});
-
-  // ---------- Performance Tab ----------
-  function mountPerformance(body){
-    const wrap = el('div', {className:'perf-wrap'});
+  // ---------- Capture Web Storage ----------
+  // Property assignment (localStorage.foo = 'x') bypasses these methods and isn't logged.
+  function logStorageChange(storage, op, key, oldValue, newValue){
+    if (key?.startsWith('__devconsole')) return;
+    let area = 'unknown';
+    try { area = storage === localStorage ? 'local' : storage === sessionStorage ? 'session' : area; } catch {}
+    pushCapped('storageLog', { id: genId(), time: Date.now(), area, op, key, oldValue, newValue, stack: getStack(3) });
+    if (state.open && state.activeTab==='storage') scheduleRender();
+  }
 
-    // FPS
-    const fpsCard = el('div', {className:'perf-card'});
-    fpsCard.append(el('h4',{},'FPS'), el('div', {className:'perf-metric', id:'fps-val'}, '—'), el('div',{className:'perf-note'}, 'Measured via rAF over 1s window.'));
-    wrap.append(fpsCard);
+  function captureStorage(){
+    if (!original.storage) return;
+    patchProp(Storage.prototype, 'setItem', function(key, value){
+      const oldValue = this.getItem(key);
+      original.storage.setItem.call(this, key, value);
+      logStorageChange(this, 'setItem', String(key), oldValue, this.getItem(key));
+    });
+    patchProp(Storage.prototype, 'removeItem', function(key){
+      const oldValue = this.getItem(key);
+      original.storage.removeItem.call(this, key);
+      if (oldValue !== null) logStorageChange(this, 'removeItem', String(key), oldValue, null);
+    });
+    patchProp(Storage.prototype, 'clear', function(){
+      const oldValue = {};
+      for (let i = 0; i < this.length; i++) oldValue[this.key(i)] = this.getItem(this.key(i));
+      original.storage.clear.call(this);
+      if (Object.keys(oldValue).length) logStorageChange(this, 'clear', null, oldValue, null);
+    });
+  }
 
-    // Memory (Chrome-only typically)
-    const memCard = el('div', {className:'perf-card'});
-    memCard.append(el('h4',{},'Memory'), el('div', {className:'perf-metric', id:'mem-val'}, '—'), el('div',{className:'perf-note'}, 'performance.memory (non-standard).'));
-    wrap.append(memCard);
+  // ---------- Mocking ----------
+  const MOCKS_KEY = '__devconsole_mocks';
+  const NULL_BODY_STATUS = [101, 204, 205, 304];
 
-    // Navigation Timing
-    const navCard = el('div', {className:'perf-card'});
-    navCard.append(el('h4',{},'Navigation Timing'), el('pre', {className:'code', id:'nav-timing'}));
-    wrap.append(navCard);
+  try { state.mocks = JSON.parse(sessionStorage.getItem(MOCKS_KEY)) || []; } catch {}
+  const saveMocks = () => {
+    try { sessionStorage.setItem(MOCKS_KEY, JSON.stringify(state.mocks)); } catch {}
+  };
 
-    body.append(wrap);
+  // "/re/flags" is a regex, "*" globs anchor to the whole URL, anything else is a substring.
+  const mockPattern = (pattern) => {
+    const re = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (re) return new RegExp(re[1], re[2]);
+    if (pattern.includes('*')) return new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return { test: (u) => u.includes(pattern) };
+  };
 
-    // start FPS loop
-    startFPSCounter($('#fps-val'));
+  const mockMatches = (rule, req) => {
+    if (rule.method && rule.method !== '*' && rule.method.toUpperCase() !== req.method) return false;
+    if (rule.header) {
+      const idx = rule.header.indexOf(':');
+      const name = (idx === -1 ? rule.header : rule.header.slice(0, idx)).trim().toLowerCase();
+      const value = idx === -1 ? null : rule.header.slice(idx + 1).trim();
+      const actual = req.requestHeaders?.[name];
+      if (actual == null || (value != null && actual !== value)) return false;
+    }
+    if (!rule.url) return true;
+    try { return mockPattern(rule.url).test(absURL(req.url)); } catch { return false; }
+  };
 
-    // memory
-    updateMemory($('#mem-val'));
-    setInterval(()=>updateMemory($('#mem-val')), 2000);
+  const findMockRule = (req) => {
+    const rule = state.mocks.find(r => r.enabled && mockMatches(r, req));
+    if (!rule) return null;
+    rule.hits = (rule.hits || 0) + 1;
+    saveMocks();
+    req.mocked = `${MOCK_ACTIONS[rule.action]}${rule.action === 'status' || rule.action === 'respond' ? ' ' + rule.status : ''}${rule.delay ? ` +${rule.delay} ms` : ''}`;
+    return rule;
+  };
 
-    // navigation/resource timing snapshot
-    try {
-      const nav = performance.getEntriesByType('navigation')[0] || performance.timing;
-      $('#nav-timing').innerHTML = syntaxHighlight(nav.toJSON ? nav.toJSON() : nav);
-    } catch (e) {
-      $('#nav-timing').textContent = 'Navigation timing not available.';
+  async function mockFetch(rule, input, init){
+    if (rule.delay > 0) await sleep(rule.delay);
+    if (rule.action === 'fail') throw new TypeError('Failed to fetch (mocked network failure)');
+    if (rule.action === 'respond') {
+      return new Response(NULL_BODY_STATUS.includes(rule.status) ? null : rule.body, {status: rule.status, headers: {'content-type': rule.contentType}});
     }
+    const res = await original.fetch(input, init);
+    if (rule.action !== 'status') return res;
+    return new Response(NULL_BODY_STATUS.includes(rule.status) ? null : await res.blob(), {status: rule.status, statusText: res.statusText, headers: res.headers});
   }
 
-  let fpsRAF = null;
-  function startFPSCounter(target){
-    let last = performance.now();
-    let frame = 0, fps = 0;
-    const loop = (t) => {
-      frame++;
-      const dt = t - last;
-      if (dt >= 1000) {
-        fps = Math.round((frame * 1000) / dt);
-        target.textContent = fps + ' fps';
-        frame = 0; last = t;
-      }
-      fpsRAF = requestAnimationFrame(loop);
-    };
-    if (fpsRAF) cancelAnimationFrame(fpsRAF);
-    fpsRAF = requestAnimationFrame(loop);
+  // Plays a canned response (or failure) through a real XHR instance without sending it:
+  // the state getters are shadowed on the instance and the usual events are dispatched.
+  function fakeXHRResponse(xhr, url, rule){
+    const failed = rule.action === 'fail';
+    const headers = failed ? {} : {'content-type': rule.contentType};
+    const body = failed ? '' : (rule.body || '');
+    let readyState = 1;
+    const define = (k, get) => Object.defineProperty(xhr, k, {configurable: true, get});
+    define('readyState', () => readyState);
+    define('status', () => readyState >= 2 && !failed ? rule.status : 0);
+    define('statusText', () => '');
+    define('responseURL', () => readyState >= 2 ? absURL(url) : '');
+    define('responseText', () => readyState === 4 ? body : '');
+    define('response', () => {
+      if (readyState !== 4) return xhr.responseType === 'json' ? null : '';
+      if (xhr.responseType === 'json') { try { return JSON.parse(body); } catch { return null; } }
+      return body;
+    });
+    xhr.getAllResponseHeaders = () => readyState >= 2 ? Object.entries(headers).map(([k,v]) => `${k}: ${v}`).join('\r\n') : '';
+    xhr.getResponseHeader = (name) => readyState >= 2 ? headers[String(name).toLowerCase()] ?? null : null;
+    const fire = (type) => xhr.dispatchEvent(new ProgressEvent(type));
+    fire('loadstart');
+    if (!failed) { readyState = 2; fire('readystatechange'); readyState = 3; fire('readystatechange'); }
+    readyState = 4; fire('readystatechange');
+    fire(failed ? 'error' : 'load');
+    fire('loadend');
   }
 
-  function updateMemory(target){
-    const m = performance.memory;
-    if (m) {
-      target.textContent = `${(m.usedJSHeapSize/1048576).toFixed(1)} / ${(m.jsHeapSizeLimit/1048576).toFixed(0)} MB`;
-    } else target.textContent = 'N/A';
+  function forceXHRStatus(xhr, status){
+    Object.defineProperty(xhr, 'status', {configurable: true, get: () => xhr.readyState >= 2 ? status : 0});
   }
 
-  // ---------- Capture Console ----------
-  ['log','info','warn','error','debug','table','group','groupEnd','time','timeEnd','trace'].forEach(level=>{
-    original.console[level] = console[level].bind(console);
-    console[level] = function(...args){
-      try { pushConsole(level, args, getStack(2)); } catch {}
-      return original.console[level](...args);
-    };
-  });
-
-  function pushConsole(level, args, stack){
-    const row = { id: genId(), level, args, time: Date.now(), stack };
-    state.consoleLogs.push(row);
-    if (state.open && state.activeTab==='console') scheduleRender();
+  // ---------- Capture fetch ----------
+  function captureNetwork(){
+    patchProp(window, 'fetch', patchedFetch);
+    wrapXHR();
   }
 
-  const getStack = (skip=1) => {
-    const e = new Error();
-    if (!e.stack) return '';
-    return e.stack.split('\n').slice(1+skip).join('\n');
-  };
-
-  // ---------- Capture fetch ----------
-  window.fetch = async function(input, init={}){
+  async function patchedFetch(input, init={}){
     const id = genId();
-    const url = typeof input === 'string' ? input : input.url;
-    const method = (init.method || (typeof input !== 'string' ? input.method : 'GET') || 'GET').toUpperCase();
-    const headers = new Headers(init.headers || (typeof input !== 'string' ? input.headers : undefined));
+    const request = typeof Request !== 'undefined' && input instanceof Request ? input : null;
+    const url = request ? request.url : String(input);
+    const method = (init.method || request?.method || 'GET').toUpperCase();
+    const headers = new Headers(init.headers || request?.headers);
     const requestHeaders = {};
     headers.forEach((v,k)=> requestHeaders[k.toLowerCase()] = v);
-    const body = init.body;
+    const signal = init.signal || request?.signal;
+    // A Request carries its own body: clone it before the real fetch consumes it. Bodies are read in the
+    // background, so uploads and streamed (duplex) bodies leave the page without waiting on the capture.
+    const copy = init.body === undefined && request?.body && !request.bodyUsed ? request.clone() : null;
     const start = performance.now();
 
-    const rec = {
-      id, url, method, type:'fetch', startTime: Date.now(), requestHeaders,
-      requestBody: await bodyToString(body),
-    };
-    state.network.push(rec);
-    scheduleRender();
+    const rec = { id, url, method, type:'fetch', startTime: Date.now(), requestHeaders };
+    tagEcho(rec);
+    (copy ? copy.blob() : Promise.resolve(init.body)).then(bodyToString).then(b => storeBody(rec, 'requestBody', b), () => {});
+    if (init[REQ_META]) { rec.resentFrom = init[REQ_META].resentFrom; init[REQ_META].record = rec; }
+    pushCapped('network', rec);
+    renderIfShowing('network', 'waterfall');
 
+    let res;
     try {
-      const res = await original.fetch(input, init);
-      const clone = res.clone();
-      rec.status = res.status;
-      rec.responseHeaders = {};
-      clone.headers.forEach((v,k)=> rec.responseHeaders[k.toLowerCase()] = v);
-      rec.responseText = await readResponseTextSafe(clone);
-      rec.responseSize = sizeFromHeaders(rec.responseHeaders, rec.responseText);
-      rec.endTime = Date.now();
-      rec.duration = performance.now() - start;
-      scheduleRender();
-      return res;
+      const rule = findMockRule(rec);
+      res = rule ? await mockFetch(rule, input, init) : await original.fetch(input, init);
     } catch (error) {
-      rec.error = error.message || String(error);
-      rec.endTime = Date.now();
-      rec.duration = performance.now() - start;
-      scheduleRender();
+      failRequest(rec, error, signal, start);
       throw error;
     }
+    rec.ttfb = performance.now() - start;
+    rec.status = res.status;
+    rec.responseHeaders = {};
+    res.headers.forEach((v,k)=> rec.responseHeaders[k.toLowerCase()] = v);
+    renderIfShowing('network', 'waterfall');
+    // the page gets its response once headers are in; the body is read from a copy in the background
+    readFetchBody(rec, res.clone(), signal, start);
+    return res;
+  }
+
+  const abortState = (error, signal) => {
+    const reason = signal?.aborted ? signal.reason : error;
+    return reason?.name === 'TimeoutError' ? 'timeout' : signal?.aborted || reason?.name === 'AbortError' ? 'aborted' : null;
   };
 
+  // Aborts (AbortController, AbortSignal.timeout) get their own state instead of a generic failure.
+  function failRequest(rec, error, signal, start){
+    const aborted = abortState(error, signal);
+    if (aborted) rec.state = aborted;
+    rec.error = error?.message || String(error);
+    rec.endTime = Date.now();
+    rec.duration = performance.now() - start;
+    renderIfShowing('network', 'waterfall');
+    emit('network', rec);
+  }
+
+  // Reads textual bodies chunk by chunk so streamed responses (SSE, NDJSON) show up as they arrive.
+  // Only limits.bodyBytes are kept; the size and a running FNV-1a hash still cover the whole body.
+  async function readFetchBody(rec, res, signal, start){
+    const ct = res.headers.get('content-type') || '';
+    if (res.type === 'opaque' || !res.body || !TEXT_TYPES.test(ct)) {
+      const text = await readResponseTextSafe(res);
+      storeBody(rec, 'responseText', text);
+      rec.responseSize = sizeFromHeaders(rec.responseHeaders, text);
+      rec.endTime = Date.now();
+      rec.duration = performance.now() - start;
+      renderIfShowing('network', 'waterfall');
+      emit('network', rec);
+      return;
+    }
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '', size = 0, kept = 0, hash = FNV_SEED, failure = null;
+    const released = () => kept > 0 && !bodyLedger.has(rec); // dropped for the budget or evicted
+    rec.chunks = 0;
+    try {
+      for (let chunk; !(chunk = await reader.read()).done;) {
+        size += chunk.value.length;
+        hash = fnv1a(chunk.value, hash);
+        rec.chunks++;
+        rec.responseSize = size;
+        const room = state.limits.bodyBytes - kept;
+        if (room > 0 && !released()) {
+          const part = chunk.value.subarray(0, room);
+          kept += part.length;
+          text += decoder.decode(part, {stream: true});
+          rec.responseText = text;
+          chargeBody(rec, part.length);
+        }
+        renderIfShowing('network', 'waterfall');
+      }
+    } catch (error) {
+      failure = error;
+    }
+    if (!released()) rec.responseText = text + decoder.decode();
+    if (size > kept || released()) rec.truncated = {...rec.truncated, responseText: {size, kept: released() ? 0 : kept, hash: fnvLabel(hash)}};
+    rec.responseSize = sizeFromHeaders(rec.responseHeaders) ?? size;
+    if (failure) { failRequest(rec, failure, signal, start); return; }
+    rec.endTime = Date.now();
+    rec.duration = performance.now() - start;
+    renderIfShowing('network', 'waterfall');
+    emit('network', rec);
+  }
+
   // ---------- Capture XHR ----------
   function wrapXHR(){
     const XHR = original.XHR;
@@ -599,10 +4461,11 @@
       const rec = { id, type:'xhr', method:_method, url:_url, requestHeaders:{}, startTime:0 };
 
       xhr.addEventListener('loadstart', () => {
-        rec.startTime = Date.now();
+        if (!rec.startTime) rec.startTime = Date.now();
       });
       xhr.addEventListener('readystatechange', () => {
         if (xhr.readyState === 2) { // HEADERS_RECEIVED
+          rec.ttfb = Date.now() - rec.startTime;
           rec.status = xhr.status;
           rec.responseHeaders = parseRawHeaders(xhr.getAllResponseHeaders());
         }
@@ -610,17 +4473,20 @@
       xhr.addEventListener('loadend', () => {
         rec.endTime = Date.now();
         rec.duration = rec.endTime - rec.startTime;
-        try {
-          rec.responseText = xhr.responseType === '' || xhr.responseType === 'text' ? xhr.responseText : '';
-        } catch{ rec.responseText = ''; }
-        rec.responseSize = sizeFromHeaders(rec.responseHeaders, rec.responseText);
-        scheduleRender();
+        let text = '';
+        try { text = xhr.responseType === '' || xhr.responseType === 'text' ? xhr.responseText : ''; } catch {}
+        storeBody(rec, 'responseText', text);
+        rec.responseSize = sizeFromHeaders(rec.responseHeaders, text);
+        renderIfShowing('network', 'waterfall');
+        emit('network', rec);
       });
+      xhr.addEventListener('abort', () => { rec.state = 'aborted'; rec.error = 'Aborted'; });
+      xhr.addEventListener('timeout', () => { rec.state = 'timeout'; rec.error = `Timed out after ${xhr.timeout} ms`; });
       xhr.addEventListener('error', () => {
         rec.error = 'Network Error';
         rec.endTime = Date.now();
         rec.duration = rec.endTime - rec.startTime;
-        scheduleRender();
+        renderIfShowing('network', 'waterfall');
       });
 
       const _open = xhr.open;
@@ -628,8 +4494,10 @@
         _method = method; _url = url; _async = async;
         rec.method = String(method||'GET').toUpperCase();
         rec.url = url;
-        state.network.push(rec);
-        scheduleRender();
+        if (xhr[REQ_META]) { rec.resentFrom = xhr[REQ_META].resentFrom; xhr[REQ_META].record = rec; }
+        tagEcho(rec);
+        pushCapped('network', rec);
+        renderIfShowing('network', 'waterfall');
         return _open.apply(xhr, arguments);
       };
 
@@ -642,61 +4510,356 @@
 
       const _send = xhr.send;
       xhr.send = function(body){
-        bodyToString(body).then(b => { rec.requestBody = b; });
-        return _send.apply(xhr, arguments);
+        bodyToString(body).then(b => storeBody(rec, 'requestBody', b));
+        // synchronous requests can't be delayed or faked, so rules only apply to async ones
+        const rule = _async ? findMockRule(rec) : null;
+        if (!rule) return _send.apply(xhr, arguments);
+        rec.startTime = Date.now();
+        const args = arguments;
+        setTimeout(() => {
+          if (rule.action === 'respond' || rule.action === 'fail') return fakeXHRResponse(xhr, _url, rule);
+          if (rule.action === 'status') forceXHRStatus(xhr, rule.status);
+          _send.apply(xhr, args);
+        }, rule.delay || 0);
       };
 
       return xhr;
     }
-    window.XMLHttpRequest = PatchedXHR;
+    patchProp(window, 'XMLHttpRequest', PatchedXHR);
   }
-  wrapXHR();
 
   // ---------- Capture WebSocket ----------
+  const wsSockets = new Map(); // connection id -> live socket, for state + compose
+
+  const wsFrameData = (data) => {
+    if (typeof data === 'string') return { data: data.slice(0, 2_000), size: new TextEncoder().encode(data).length };
+    const size = data?.size ?? data?.byteLength ?? null;
+    return { data: `[binary ${fmtBytes(size)}]`, size, binary: true };
+  };
+
   function wrapWS(){
     const OWS = original.WebSocket;
     function PatchedWS(url, protocols){
       const ws = new OWS(url, protocols);
       const id = genId();
       const base = { id, url: String(url), time: Date.now(), type:'ws' };
-      state.wsEvents.push({...base, event:'open-pending'});
+      wsSockets.set(id, ws);
+      pushCapped('wsEvents', {...base, event:'open-pending'});
       ws.addEventListener('open', () => {
         pushConsole('info', ['WebSocket open', url]);
-        state.wsEvents.push({...base, event:'open', time: Date.now()});
-        scheduleRender();
+        pushCapped('wsEvents', {...base, event:'open', time: Date.now()});
+        renderIfShowing('websockets');
       });
       ws.addEventListener('message', (ev) => {
-        state.wsEvents.push({...base, event:'message', time: Date.now(), data: String(ev.data).slice(0,2_000)});
-        scheduleRender();
+        pushCapped('wsEvents', {...base, event:'message', time: Date.now(), ...wsFrameData(ev.data)});
+        renderIfShowing('websockets');
       });
       ws.addEventListener('close', (ev) => {
-        state.wsEvents.push({...base, event:'close', time: Date.now(), code: ev.code, reason: ev.reason});
-        scheduleRender();
+        pushCapped('wsEvents', {...base, event:'close', time: Date.now(), code: ev.code, reason: ev.reason});
+        wsSockets.delete(id);
+        renderIfShowing('websockets');
       });
       ws.addEventListener('error', (ev) => {
-        state.wsEvents.push({...base, event:'error', time: Date.now(), data: String(ev.message || ev)});
-        scheduleRender();
+        pushCapped('wsEvents', {...base, event:'error', time: Date.now(), data: String(ev.message || ev)});
+        renderIfShowing('websockets');
       });
 
       const _send = ws.send;
       ws.send = function(data){
-        state.wsEvents.push({...base, event:'send', time: Date.now(), data: typeof data==='string'?data: '[binary]'});
-        scheduleRender();
+        pushCapped('wsEvents', {...base, event:'send', time: Date.now(), ...wsFrameData(data)});
+        renderIfShowing('websockets');
         return _send.apply(ws, arguments);
       };
       return ws;
     }
-    window.WebSocket = PatchedWS;
+    patchProp(window, 'WebSocket', PatchedWS);
+  }
+
+  // ---------- Capture messages ----------
+  // EventSource, BroadcastChannel, Worker and window.postMessage traffic, recorded like WebSocket frames.
+  // Posts into same-origin frames are seen once the frame is in the document; cross-origin frames can't be
+  // patched, so what is sent to them only shows up in that frame.
+  const pushMessage = (msg) => {
+    pushCapped('messages', { id: genId(), time: Date.now(), ...msg });
+    renderIfShowing('messages');
+  };
+
+  // JSON.stringify semantics, but it stops once `max` characters are written: this runs inside the page's
+  // postMessage call, and a large state snapshot shouldn't be serialized whole only to be cut. Throws like
+  // JSON.stringify on cycles and BigInts; returns null when there is nothing to serialize.
+  const JSON_FULL = Symbol('full');
+  const boundedJSON = (value, max) => {
+    let out = '';
+    const open = new Set();
+    const put = (str) => {
+      out += str;
+      if (out.length > max) throw JSON_FULL;
+    };
+    const walk = (v) => { // false for values JSON leaves out (undefined, functions, symbols)
+      if (v != null && typeof v.toJSON === 'function') v = v.toJSON();
+      switch (typeof v) {
+        case 'string': put(JSON.stringify(v.length > max ? v.slice(0, max) : v)); return true;
+        case 'number': put(Number.isFinite(v) ? String(v) : 'null'); return true;
+        case 'boolean': put(String(v)); return true;
+        case 'bigint': throw new TypeError('BigInt value can\'t be serialized in JSON');
+        case 'object': break;
+        default: return false;
+      }
+      if (v === null) { put('null'); return true; }
+      if (open.has(v)) throw new TypeError('Converting circular structure to JSON');
+      open.add(v);
+      if (Array.isArray(v)) {
+        put('[');
+        for (let i = 0; i < v.length; i++) {
+          if (i) put(',');
+          if (!walk(v[i])) put('null');
+        }
+        put(']');
+      } else {
+        put('{');
+        let first = true;
+        for (const k in v) {
+          if (!Object.prototype.hasOwnProperty.call(v, k)) continue;
+          const mark = out.length;
+          put(`${first ? '' : ','}${JSON.stringify(k)}:`);
+          if (walk(v[k])) first = false; else out = out.slice(0, mark);
+        }
+        put('}');
+      }
+      open.delete(v);
+      return true;
+    };
+    try {
+      return walk(value) ? { text: out } : null;
+    } catch (e) {
+      if (e === JSON_FULL) return { text: out.slice(0, max), truncated: true };
+      throw e;
+    }
+  };
+
+  // Payloads are kept as text: strings as sent, structured-clone data as JSON where it serializes.
+  const messagePayload = (data) => {
+    if (typeof data !== 'string' && (data instanceof Blob || data instanceof ArrayBuffer || ArrayBuffer.isView(data))) {
+      const size = data.size ?? data.byteLength;
+      return { data: `[binary ${fmtBytes(size)}]`, size, binary: true };
+    }
+    if (typeof data === 'string') return { data: data.slice(0, state.limits.bodyBytes), size: textEncoder.encode(data).length };
+    let json = null;
+    try { json = boundedJSON(data, state.limits.bodyBytes); } catch {}
+    const text = json ? json.text : previewValue(data);
+    // a cut-off serialization has no known full size
+    return { data: text, size: json?.truncated ? null : textEncoder.encode(text).length, structured: true, ...(json?.truncated ? {truncated: true} : {}) };
+  };
+
+  const windowLabel = (win) => {
+    if (!win) return 'unknown';
+    if (win === window) return 'self';
+    if (win === window.parent) return 'parent';
+    if (win === window.opener) return 'opener';
+    if (typeof MessagePort !== 'undefined' && win instanceof MessagePort) return 'port';
+    const frame = [...document.querySelectorAll('iframe, frame')].find(f => f.contentWindow === win);
+    return frame ? describeNode(frame) : 'window';
+  };
+
+  function wrapEventSource(){
+    const OES = original.EventSource;
+    if (!OES) return;
+    function PatchedES(url, config){
+      const es = new OES(url, config);
+      const channel = absURL(String(url));
+      let origin = '';
+      try { origin = new URL(channel).origin; } catch {}
+      const base = { kind:'sse', channel, origin };
+      const record = (ev) => pushMessage({...base, dir:'in', event: ev.type, ...(ev.lastEventId ? {lastEventId: ev.lastEventId} : {}), ...messagePayload(ev.data)});
+      es.addEventListener('open', () => pushMessage({...base, event:'open'}));
+      es.addEventListener('error', () => pushMessage({...base, event: es.readyState === 2 ? 'closed' : 'error, reconnecting'}));
+      es.addEventListener('message', record);
+      // named events only reach listeners for their type, so follow the types the page listens to
+      const types = new Set(['open', 'error', 'message']);
+      const _add = es.addEventListener;
+      es.addEventListener = function(type){
+        if (!types.has(type)) { types.add(type); _add.call(es, type, record); }
+        return _add.apply(es, arguments);
+      };
+      const _close = es.close;
+      es.close = function(){
+        if (es.readyState !== 2) pushMessage({...base, event:'close'});
+        return _close.apply(es, arguments);
+      };
+      return es;
+    }
+    PatchedES.prototype = OES.prototype;
+    Object.assign(PatchedES, {CONNECTING: 0, OPEN: 1, CLOSED: 2});
+    patchProp(window, 'EventSource', PatchedES);
+  }
+
+  function wrapBroadcastChannel(){
+    const OBC = original.BroadcastChannel;
+    if (!OBC) return;
+    function PatchedBC(name){
+      const bc = new OBC(name);
+      const base = { kind:'broadcast', channel: String(name), origin: location.origin };
+      bc.addEventListener('message', (ev) => pushMessage({...base, dir:'in', event:'message', ...messagePayload(ev.data)}));
+      bc.addEventListener('messageerror', () => pushMessage({...base, dir:'in', event:'messageerror'}));
+      const _post = bc.postMessage;
+      bc.postMessage = function(data){
+        pushMessage({...base, dir:'out', event:'message', ...messagePayload(data)});
+        return _post.apply(bc, arguments);
+      };
+      return bc;
+    }
+    PatchedBC.prototype = OBC.prototype;
+    patchProp(window, 'BroadcastChannel', PatchedBC);
+  }
+
+  function wrapWorker(){
+    const OW = original.Worker;
+    if (!OW) return;
+    function PatchedWorker(url, options){
+      const worker = new OW(url, options);
+      const base = { kind:'worker', channel: absURL(String(url)), origin: location.origin };
+      worker.addEventListener('message', (ev) => pushMessage({...base, dir:'in', event:'message', ...messagePayload(ev.data)}));
+      worker.addEventListener('error', (ev) => pushMessage({...base, dir:'in', event:'error', data: String(ev.message || 'Worker error')}));
+      const _post = worker.postMessage;
+      worker.postMessage = function(data){
+        pushMessage({...base, dir:'out', event:'message', ...messagePayload(data)});
+        return _post.apply(worker, arguments);
+      };
+      return worker;
+    }
+    PatchedWorker.prototype = OW.prototype;
+    patchProp(window, 'Worker', PatchedWorker);
+  }
+
+  function captureMessages(){
+    wrapEventSource();
+    wrapBroadcastChannel();
+    wrapWorker();
+    // A window posting to itself would be listed twice; its delivery is matched to the post and dropped.
+    const selfPosts = []; // payload texts posted to this window and not yet delivered
+    const postOut = (win, data, options) => {
+      const targetOrigin = typeof options === 'string' ? options : options?.targetOrigin ?? '/';
+      const payload = messagePayload(data);
+      pushMessage({ kind:'window', channel: windowLabel(win), origin: targetOrigin, dir:'out', event:'message', ...payload });
+      if (win === window) {
+        selfPosts.push(payload.data);
+        if (selfPosts.length > 100) selfPosts.shift(); // posts to a mismatched targetOrigin are never delivered
+      }
+    };
+    patchProp(window, 'postMessage', function(data, options){
+      postOut(this || window, data, options);
+      return original.postMessage.apply(this || window, arguments);
+    });
+    // A frame's postMessage is wrapped when the frame is added and again after each load, since navigating
+    // gives it a new window. Frames leaving the document are forgotten so their windows can be collected.
+    const FRAMES = 'iframe, frame';
+    const framePatches = new Map(); // frame element -> {wrapper, undo}
+    const unpatchFrame = (frame) => {
+      framePatches.get(frame)?.undo();
+      framePatches.delete(frame);
+    };
+    const patchFrame = (frame) => {
+      let win;
+      try { win = frame.contentWindow; } catch {}
+      try { if (win && win.postMessage === framePatches.get(frame)?.wrapper) return; } catch {}
+      unpatchFrame(frame);
+      if (!win || win === window) return;
+      try {
+        const post = win.postMessage;
+        const prev = Object.getOwnPropertyDescriptor(win, 'postMessage');
+        const wrapper = function(data, options){
+          postOut(win, data, options);
+          return post.apply(this || win, arguments);
+        };
+        win.postMessage = wrapper;
+        framePatches.set(frame, {wrapper, undo: () => {
+          try { if (win.postMessage === wrapper) prev ? Object.defineProperty(win, 'postMessage', prev) : delete win.postMessage; } catch {}
+        }});
+      } catch {} // cross-origin
+    };
+    document.querySelectorAll(FRAMES).forEach(patchFrame);
+    listen(document, 'load', (e) => { if (e.target.matches?.(FRAMES)) patchFrame(e.target); }, true); // load doesn't bubble
+    const frameObserver = new MutationObserver((records) => {
+      for (const r of records) {
+        r.addedNodes.forEach(n => {
+          if (n.nodeType !== 1 || isOwnNode(n)) return;
+          if (n.matches(FRAMES)) patchFrame(n);
+          n.querySelectorAll(FRAMES).forEach(patchFrame);
+        });
+        if (r.removedNodes.length) framePatches.forEach((_, frame) => { if (!frame.isConnected) unpatchFrame(frame); });
+      }
+    });
+    frameObserver.observe(document, {childList: true, subtree: true});
+    teardown.push(() => {
+      frameObserver.disconnect();
+      framePatches.forEach((_, frame) => unpatchFrame(frame));
+    });
+    listen(window, 'message', (ev) => {
+      const payload = messagePayload(ev.data);
+      const sent = ev.source === window ? selfPosts.indexOf(payload.data) : -1;
+      if (sent >= 0) { selfPosts.splice(sent, 1); return; }
+      pushMessage({ kind:'window', channel: windowLabel(ev.source), origin: ev.origin || location.origin, dir:'in', event: ev.type, ...payload });
+    });
+  }
+
+  // ---------- Capture resource timing ----------
+  // Phases are [from, to] pairs on the performance timeline. Cross-origin entries without
+  // Timing-Allow-Origin zero out everything but startTime/responseEnd, hence `detailed`.
+  const resourcePhases = (e) => ({
+    start: e.startTime,
+    end: e.responseEnd || e.startTime + e.duration,
+    detailed: e.responseStart > 0,
+    queue: [e.startTime, e.domainLookupStart || e.fetchStart],
+    dns: [e.domainLookupStart, e.domainLookupEnd],
+    connect: [e.connectStart, e.secureConnectionStart || e.connectEnd],
+    tls: [e.secureConnectionStart, e.secureConnectionStart ? e.connectEnd : 0],
+    ttfb: [e.requestStart, e.responseStart],
+    download: [e.responseStart, e.responseEnd],
+    transferSize: e.transferSize,
+    encodedBodySize: e.encodedBodySize,
+    decodedBodySize: e.decodedBodySize,
+    nextHopProtocol: e.nextHopProtocol,
+  });
+
+  // fetch/XHR entries are folded into the record that issued them (same URL, closest start).
+  const matchResource = (entry) => {
+    if (entry.initiatorType !== 'fetch' && entry.initiatorType !== 'xmlhttprequest') return null;
+    const origin = performance.timeOrigin || 0;
+    let best = null, bestDelta = 1000;
+    for (const rec of state.network) {
+      if (rec.timing || rec.imported || absURL(rec.url) !== entry.name) continue;
+      const delta = Math.abs(rec.startTime - origin - entry.startTime);
+      if (delta < bestDelta) { best = rec; bestDelta = delta; }
+    }
+    return best;
+  };
+
+  function observeResources(){
+    if (typeof PerformanceObserver === 'undefined') return;
+    try {
+      const po = new PerformanceObserver((list) => {
+        for (const entry of list.getEntries()) {
+          const timing = resourcePhases(entry);
+          const rec = matchResource(entry);
+          if (rec) rec.timing = timing;
+          else pushCapped('resources', { id: genId(), name: entry.name, initiatorType: entry.initiatorType, ...timing });
+        }
+        if (state.open && state.activeTab === 'waterfall') scheduleRender();
+      });
+      po.observe({type: 'resource', buffered: !initCount}); // a re-init would replay entries already captured
+      teardown.push(() => po.disconnect());
+    } catch {}
   }
-  wrapWS();
 
   // ---------- Helpers for network ----------
+  const TEXT_TYPES = /json|text\/|xml|javascript|event-stream|x-www-form-urlencoded/i;
+
   async function bodyToString(body){
     if (body == null) return '';
     if (typeof body === 'string') return body;
     if (body instanceof URLSearchParams) return body.toString();
     if (body instanceof Blob) {
-      if (body.type.startsWith('text') || body.type.includes('json')) return await body.text();
+      if (TEXT_TYPES.test(body.type)) return await body.text();
       return `[blob ${fmtBytes(body.size)} ${body.type||'application/octet-stream'}]`;
     }
     if (body instanceof FormData) {
@@ -723,7 +4886,7 @@
     try {
       if (res.type === 'opaque') return '[opaque response]';
       const ct = res.headers.get('content-type') || '';
-      if (/application\/json|text\//i.test(ct)) return await res.text();
+      if (TEXT_TYPES.test(ct)) return await res.text();
       // Try to read small blobs (e.g., SVG)
       const buf = await res.arrayBuffer();
       return `[binary ${fmtBytes(buf.byteLength)}]`;
@@ -740,52 +4903,379 @@
   }
 
   // ---------- Global Error Capture ----------
-  window.addEventListener('error', (ev) => {
-    pushError('error', ev.message, ev.error?.stack, {filename: ev.filename, lineno: ev.lineno, colno: ev.colno});
-  });
-  window.addEventListener('unhandledrejection', (ev) => {
-    const reason = ev.reason instanceof Error ? ev.reason.message : safeJSON(ev.reason);
-    pushError('unhandledrejection', reason, ev.reason?.stack, {});
-  });
+  function captureErrors(){
+    listen(window, 'error', (ev) => {
+      pushError('error', ev.message, ev.error?.stack, {filename: ev.filename, lineno: ev.lineno, colno: ev.colno});
+    });
+    listen(window, 'unhandledrejection', (ev) => {
+      const reason = ev.reason instanceof Error ? ev.reason.message : safeJSON(ev.reason);
+      pushError('unhandledrejection', reason, ev.reason?.stack, {});
+    });
+    // Failed <img>/<script>/<link>/media loads don't bubble, so only a capture listener sees them.
+    listen(window, 'error', (ev) => {
+      const t = ev.target;
+      if (!(t instanceof Element) || isOwnNode(t)) return;
+      const url = [t.currentSrc, t.src, t.href, t.data].find(v => typeof v === 'string' && v) || t.getAttribute('src') || t.getAttribute('href') || '';
+      const tag = t.tagName.toLowerCase();
+      pushError('resource', `Failed to load <${tag}> ${url}`, '', {tag, type: t.type || undefined, rel: t.rel || undefined},
+        {source: 'element', url: url && absURL(url), selector: cssPath(t)});
+    }, true);
+    listen(document, 'securitypolicyviolation', (ev) => {
+      const directive = ev.effectiveDirective || ev.violatedDirective;
+      pushError('csp', `Refused ${directive}: ${ev.blockedURI || 'inline'}`, ev.sourceFile ? `    at ${ev.sourceFile}:${ev.lineNumber}:${ev.columnNumber}` : '',
+        {violatedDirective: ev.violatedDirective, effectiveDirective: ev.effectiveDirective, disposition: ev.disposition, originalPolicy: ev.originalPolicy, sample: ev.sample},
+        {source: 'document', url: ev.blockedURI, selector: ev.target instanceof Element ? cssPath(ev.target) : undefined});
+    });
+    // Deprecations and interventions are only reported here, never thrown or logged.
+    if (typeof ReportingObserver !== 'undefined') {
+      try {
+        const ro = new ReportingObserver((reports) => reports.forEach(r => {
+          const b = r.body || {};
+          pushError(r.type, b.message || b.id || r.type, b.sourceFile ? `    at ${b.sourceFile}:${b.lineNumber}:${b.columnNumber}` : '', b,
+            {source: 'ReportingObserver', url: r.url});
+        }), {types: ['deprecation', 'intervention'], buffered: !initCount});
+        ro.observe();
+        teardown.push(() => ro.disconnect());
+      } catch {}
+    }
+  }
+
+  // Same kind + message + top three frames => same group in the Errors tab.
+  const errorFingerprint = (kind, message, stack) => [kind, message,
+    ...parseStack(stack).filter(f => f.file).slice(0, 3).map(f => `${f.fn}@${f.file}:${f.line}:${f.column}`)].join('|');
+
+  const BREADCRUMB_MS = 10000;
+  const BREADCRUMB_MAX = 20;
 
-  function pushError(kind, message, stack, extra){
-    state.errors.push({ id: genId(), kind, message, stack, extra: extra && safeJSON(extra), time: Date.now(), source: 'window' });
+  // Console and network activity shortly before an error, snapshotted so it survives Clear.
+  // Both streams are in capture order, so each is walked back from its end only as far as the window reaches.
+  const recentEntries = (list, timeOf, since) => {
+    const out = [];
+    for (let i = list.length - 1; i >= 0 && out.length < BREADCRUMB_MAX; i--) {
+      const t = timeOf(list[i]);
+      if (!t) continue; // an XHR opened but not sent yet
+      if (t < since) break;
+      out.push(list[i]);
+    }
+    return out;
+  };
+
+  const collectBreadcrumbs = (time) => {
+    const since = time - BREADCRUMB_MS;
+    const logs = recentEntries(state.consoleLogs, r => r.time, since)
+      .map(r => ({ type:'console', id: r.id, time: r.time, level: r.level, label: consoleText(r) }));
+    const reqs = recentEntries(state.network, r => !r.imported && r.startTime, since)
+      .map(r => ({ type:'network', id: r.id, time: r.startTime, method: r.method, label: r.url, status: r.state || (r.error ? 'failed' : r.status) }));
+    return [...logs, ...reqs].sort((a, b) => a.time - b.time).slice(-BREADCRUMB_MAX);
+  };
+
+  function pushError(kind, message, stack, extra, target = {}){
+    const time = Date.now();
+    pushCapped('errors', { id: genId(), kind, message, stack, extra: extra && safeJSON(extra), time, source: target.source || 'window',
+      url: target.url, selector: target.selector, fingerprint: errorFingerprint(kind, message, stack), breadcrumbs: collectBreadcrumbs(time) });
     if (state.open && state.activeTab==='errors') scheduleRender();
   }
 
   // ---------- Minimal render scheduler ----------
-  let renderTimer = null;
-  const scheduleRender = () => {
+  // Data changes patch the active view when it supports it; pass full=true when more than its lists changed.
+  let renderTimer = null, renderFull = false;
+  const scheduleRender = (full) => {
     if (!state.open) return;
+    if (full) renderFull = true;
     if (renderTimer) return;
-    renderTimer = requestAnimationFrame(()=>{ render(); renderTimer=null; });
+    renderTimer = requestAnimationFrame(()=>{
+      renderTimer = null;
+      const rebuild = renderFull || !activeView?.update || renderedTab !== state.activeTab;
+      renderFull = false;
+      if (rebuild) render(); else activeView.update();
+    });
   };
 
-  // ---------- Open + Hotkeys ----------
-  toggleBtn.addEventListener('click', toggleOpen);
-  document.addEventListener('keydown', (e) => {
-    if (e.ctrlKey && e.key === '`') {
-      e.preventDefault();
-      toggleOpen();
+  // Capture code renders only when a tab showing its data is up.
+  const renderIfShowing = (...tabs) => {
+    if (state.open && tabs.includes(state.activeTab)) scheduleRender();
+  };
+
+  // ---------- Plugins ----------
+  // DevConsole.registerTab({id, label, mount, update, capture, export, clear}) adds a tab after the built-in ones.
+  //   mount(pane, helpers)  fills the tab when it is opened or refresh() is called; may return a cleanup run
+  //                         before the next mount
+  //   update(pane, helpers) called instead of remounting when the console redraws while the tab is shown
+  //   capture(ctx)          runs while the console is initialized; ctx.patch/listen/on are undone on destroy,
+  //                         and a returned function is called then too
+  //   export()              stored under plugins[id] by Export
+  //   clear()               called by Clear while the tab is shown
+  const plugins = new Map(); // id -> plugin, in registration order
+  let pluginCleanup = null; // returned by the mounted tab's mount()
+
+  const refreshPlugin = (p) => {
+    if (state.open && state.activeTab === p.id) scheduleRender(true);
+  };
+
+  const pluginFailed = (p, what, e) => original.console.error?.(`DevConsole: plugin "${p.id}" ${what} failed`, e);
+
+  function mountPlugin(body){
+    const p = plugins.get(state.activeTab);
+    const pane = el('div', {className:'dc-detail plugin-pane', role:'region'});
+    body.append(pane);
+    if (!p) { pane.append(el('div', {className:'plugin-note'}, `No tab named "${state.activeTab}" is registered.`)); return { update(){} }; }
+    // codeSection() inserts strings as HTML: pass objects, or run text through escapeHTML/syntaxHighlight first
+    const helpers = { el, sectionKV, codeSection, syntaxHighlight, escapeHTML, refresh: () => refreshPlugin(p) };
+    try {
+      const cleanup = p.mount(pane, helpers);
+      if (typeof cleanup === 'function') pluginCleanup = cleanup;
+    } catch (e) {
+      pluginFailed(p, 'mount', e);
+      pane.append(codeSection(`${p.label} failed to render`, escapeHTML(e?.stack || String(e))));
     }
-  });
+    return {
+      update(){
+        try { p.update?.(pane, helpers); } catch (e) { pluginFailed(p, 'update', e); }
+      },
+    };
+  }
+
+  const unmountPlugin = () => {
+    const cleanup = pluginCleanup;
+    pluginCleanup = null;
+    try { cleanup?.(); } catch (e) { original.console.error?.('DevConsole: plugin cleanup failed', e); }
+  };
+
+  const clearPlugin = (p) => {
+    try { p.clear?.(); } catch (e) { pluginFailed(p, 'clear', e); }
+  };
+
+  const pluginExports = () => {
+    const out = {};
+    plugins.forEach(p => {
+      if (!p.export) return;
+      try { out[p.id] = p.export(); } catch (e) { pluginFailed(p, 'export', e); out[p.id] = { error: e?.message || String(e) }; }
+    });
+    return Object.keys(out).length ? { plugins: out } : {};
+  };
+
+  // The plugin's patches, listeners and subscriptions are moved out of the shared teardown list,
+  // so unregistering one undoes just its own.
+  const installPlugin = (p) => {
+    if (!p.capture || !root) return;
+    const from = teardown.length;
+    const ctx = {
+      patch: patchProp,
+      listen,
+      on: (type, fn) => { const off = on(type, fn); teardown.push(off); return off; },
+      refresh: () => refreshPlugin(p),
+    };
+    try {
+      const undo = p.capture(ctx);
+      if (typeof undo === 'function') teardown.push(undo);
+    } catch (e) {
+      pluginFailed(p, 'capture', e);
+    }
+    p.undo = teardown.splice(from);
+    teardown.push(() => uninstallPlugin(p));
+  };
+
+  const uninstallPlugin = (p) => {
+    while (p.undo.length) {
+      try { p.undo.pop()(); } catch (e) { pluginFailed(p, 'teardown', e); }
+    }
+  };
+
+  function registerTab(plugin){
+    const {id, label = id, mount} = plugin || {};
+    if (typeof id !== 'string' || !id) throw new TypeError('DevConsole.registerTab: id must be a non-empty string');
+    if (TABS.some(([t]) => t === id) || plugins.has(id)) throw new TypeError(`DevConsole.registerTab: a tab named "${id}" already exists`);
+    if (typeof mount !== 'function') throw new TypeError('DevConsole.registerTab: mount must be a function');
+    const hook = ['update', 'capture', 'export', 'clear'].find(k => plugin[k] != null && typeof plugin[k] !== 'function');
+    if (hook) throw new TypeError(`DevConsole.registerTab: ${hook} must be a function`);
+    const p = { id, label: String(label), mount, update: plugin.update, capture: plugin.capture, export: plugin.export, clear: plugin.clear, undo: [] };
+    plugins.set(id, p);
+    installPlugin(p);
+    scheduleRender(true);
+    return () => unregisterTab(id);
+  }
+
+  function unregisterTab(id){
+    const p = plugins.get(id);
+    if (!p) return;
+    if (state.open && state.activeTab === id) unmountPlugin();
+    uninstallPlugin(p);
+    plugins.delete(id);
+    if (state.activeTab === id) state.activeTab = 'network';
+    scheduleRender(true);
+  }
 
-  // Initially mount root container
-  render();
+  // ---------- Embedding API ----------
+  // DevConsole.init(options) patches the selected capture modules and mounts the UI; destroy() undoes both.
+  // Captured data outlives destroy(), so a later init() carries on with it.
+  const CAPTURE_MODULES = {
+    console: captureConsoleMethods,
+    network: captureNetwork, // fetch + XHR
+    websocket: wrapWS,
+    messages: captureMessages, // EventSource, BroadcastChannel, Worker, postMessage
+    errors: captureErrors,
+    storage: captureStorage,
+    listeners: captureListeners, // listener counts on the Performance tab; opt-in
+    resources: observeResources, // Waterfall
+  };
+  const OPT_IN_MODULES = new Set(['listeners']);
+  const POSITIONS = ['bottom', 'top', 'left', 'right'];
+  const DEFAULT_OPTIONS = {
+    root: '#devconsole-root', // element or selector; created when missing
+    toggle: '#devconsole-toggle', // likewise; false for no floating button
+    container: null, // where created elements go; defaults to <body>
+    capture: {}, // e.g. {storage: false, listeners: true}; modules not mentioned are on, except OPT_IN_MODULES
+    hotkey: 'Ctrl+`', // "Alt+Shift+D", "Meta+K"…; false to disable
+    position: 'bottom',
+    theme: 'dark', // 'dark' | 'light' | 'auto', or {mode, accent: '#…', bg: '#…'} to override --dc-* variables
+    tab: null, // tab shown first
+    open: null, // start open; by default the console reopens if it was open earlier in this session
+    ignoreNetwork: null, // (url) => true for requests never passed to DevConsole.on('network'), e.g. a subscriber's own reports
+  };
+  const OPEN_KEY = '__devconsole_open';
+  let config = {...DEFAULT_OPTIONS};
+  let hotkey = null;
+  let initCount = 0;
+  let built = []; // elements init() created, removed again by destroy()
+
+  const resolveElement = (ref) => typeof ref === 'string' ? document.querySelector(ref) : ref || null;
+
+  // Letters and digits match on the physical key: with Alt or Shift held, e.key turns into "∂" or "!".
+  // Other keys ("`", "F2", "Escape") match on e.key.
+  const parseHotkey = (spec) => {
+    const parts = String(spec).split('+');
+    const key = parts.pop() || '+'; // "Ctrl++"
+    const mods = new Set(parts.map(p => p.trim().toLowerCase()));
+    const codes = /^[a-z]$/i.test(key) ? [`Key${key.toUpperCase()}`] : /^\d$/.test(key) ? [`Digit${key}`, `Numpad${key}`] : null;
+    return { key: key.toLowerCase(), codes, ctrl: mods.has('ctrl') || mods.has('control'), alt: mods.has('alt') || mods.has('option'),
+      shift: mods.has('shift'), meta: mods.has('meta') || mods.has('cmd') };
+  };
+
+  const onHotkey = (e) => {
+    if (!hotkey || (hotkey.codes ? !hotkey.codes.includes(e.code) : e.key?.toLowerCase() !== hotkey.key)) return;
+    if (e.ctrlKey !== hotkey.ctrl || e.altKey !== hotkey.alt || e.shiftKey !== hotkey.shift || e.metaKey !== hotkey.meta) return;
+    e.preventDefault();
+    toggleOpen();
+  };
 
-  // Accessibility: prevent focus trap issues
-  root.addEventListener('keydown', (e) => {
+  // Accessibility: Escape closes without reaching for the mouse
+  const onRootKey = (e) => {
     if (e.key === 'Escape') toggleOpen();
-  });
+  };
+
+  const lightQuery = window.matchMedia?.('(prefers-color-scheme: light)');
+  const themeOf = () => typeof config.theme === 'object' && config.theme ? config.theme : {mode: config.theme};
+  const applyTheme = () => {
+    const {mode, ...vars} = themeOf();
+    const resolved = mode === 'light' || (mode === 'auto' && lightQuery?.matches) ? 'light' : 'dark';
+    [root, toggleBtn].forEach(n => {
+      if (!n) return;
+      n.dataset.dcTheme = resolved;
+      n.dataset.dcPosition = config.position;
+      for (const [k, v] of Object.entries(vars)) n.style.setProperty(`--dc-${k}`, v);
+    });
+  };
+
+  function init(options = {}){
+    const next = {...DEFAULT_OPTIONS, ...options};
+    if (!POSITIONS.includes(next.position)) throw new TypeError(`DevConsole.init: position must be one of ${POSITIONS.join(', ')}`);
+    if (next.ignoreNetwork != null && typeof next.ignoreNetwork !== 'function') throw new TypeError('DevConsole.init: ignoreNetwork must be a function');
+    const unknown = Object.keys(next.capture || {}).filter(k => !(k in CAPTURE_MODULES));
+    if (unknown.length) throw new TypeError(`DevConsole.init: unknown capture module ${unknown.join(', ')} (expected ${Object.keys(CAPTURE_MODULES).join(', ')})`);
+    destroy();
+    config = next;
+    hotkey = config.hotkey ? parseHotkey(config.hotkey) : null;
+    const hint = config.hotkey ? ` (${config.hotkey})` : '';
+    Object.assign(original, snapshotOriginals());
+
+    const container = resolveElement(config.container) || document.body || document.documentElement;
+    root = resolveElement(config.root);
+    if (!root) {
+      root = el('div', {id: 'devconsole-root'});
+      root.setAttribute('aria-live', 'polite');
+      root.setAttribute('aria-label', 'Developer Console');
+      container.append(root);
+      built.push(root);
+    }
+    if (config.toggle !== false) {
+      toggleBtn = resolveElement(config.toggle);
+      if (!toggleBtn) {
+        toggleBtn = el('button', {id: 'devconsole-toggle', type: 'button'}, '🛠️');
+        toggleBtn.setAttribute('aria-controls', root.id || 'devconsole-root');
+        container.append(toggleBtn);
+        built.push(toggleBtn);
+      }
+    }
+    const nodes = [root, toggleBtn].filter(Boolean);
+    const prevTitle = toggleBtn?.title;
+    if (toggleBtn) toggleBtn.title = `Toggle Dev Console${hint}`;
+    root.classList.add('devconsole-root');
+    toggleBtn?.classList.add('devconsole-toggle');
+    applyTheme();
+    teardown.push(() => {
+      nodes.forEach(n => {
+        n.classList.remove('devconsole-root', 'devconsole-toggle', 'open');
+        delete n.dataset.dcTheme;
+        delete n.dataset.dcPosition;
+        Object.keys(themeOf()).forEach(k => n.style.removeProperty(`--dc-${k}`));
+      });
+      if (nodes.includes(toggleBtn)) toggleBtn.title = prevTitle;
+    });
 
-  // Nice: remember open state in session
-  try {
-    const saved = sessionStorage.getItem('__devconsole_open');
-    if (saved === '1') { state.open = true; render(); }
-    const observer = new MutationObserver(()=> {
-      sessionStorage.setItem('__devconsole_open', state.open ? '1' : '0');
+    Object.entries(CAPTURE_MODULES).forEach(([name, install]) => {
+      if (config.capture?.[name] ?? !OPT_IN_MODULES.has(name)) install();
     });
-    observer.observe(root, {attributes:true, attributeFilter:['class']});
-  } catch{}
+    if (toggleBtn) listen(toggleBtn, 'click', toggleOpen);
+    if (hotkey) listen(document, 'keydown', onHotkey);
+    listen(document, 'visibilitychange', syncPerfSampler);
+    listen(root, 'keydown', onRootKey);
+    if (window.cookieStore?.addEventListener) listen(cookieStore, 'change', onCookieChange);
+    if (themeOf().mode === 'auto' && lightQuery?.addEventListener) listen(lightQuery, 'change', applyTheme);
+    plugins.forEach(installPlugin);
+
+    if (config.tab) state.activeTab = config.tab;
+    let reopen = false;
+    try { reopen = sessionStorage.getItem(OPEN_KEY) === '1'; } catch {}
+    state.open = config.open ?? reopen;
+    render();
+
+    // Nice: remember open state in session
+    try {
+      const observer = new MutationObserver(()=> {
+        sessionStorage.setItem(OPEN_KEY, state.open ? '1' : '0');
+      });
+      observer.observe(root, {attributes:true, attributeFilter:['class']});
+      teardown.push(() => observer.disconnect());
+    } catch{}
+
+    initCount++;
+    return api;
+  }
+
+  function destroy(){
+    if (!root) return;
+    if (picking) stopPicking();
+    stopPerfRecording();
+    state.open = false;
+    render(); // stops the samplers and the Elements observer
+    cancelAnimationFrame(renderTimer);
+    renderTimer = null;
+    highlightElement(null);
+    while (teardown.length) {
+      try { teardown.pop()(); } catch {}
+    }
+    root.innerHTML = '';
+    built.forEach(n => n.remove());
+    built = [];
+    root = toggleBtn = null;
+    activeView = null;
+    renderedTab = null;
+  }
+
+  const api = Object.freeze({ init, destroy, on, registerTab, unregisterTab });
+  window.DevConsole = api;
+
+  // Pages that ship the #devconsole-root markup get the console without calling init()
+  if (document.getElementById('devconsole-root')) init();
 
 })();